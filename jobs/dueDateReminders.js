@@ -0,0 +1,147 @@
+const Task = require("../models/Task")
+const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
+const ReminderLog = require("../models/ReminderLog")
+const { COMPLETED_STATUS, RESERVED_STATUSES } = require("../utils/workflow")
+const { sendReminder } = require("../services/reminders")
+
+const HOUR = 60 * 60 * 1000
+// Tasks that went overdue longer ago than this are not reported, e.g. when reminders are first enabled
+const OVERDUE_LOOKBACK = 7 * 24 * HOUR
+// Tasks loaded at a time; every matching task is still handled in the same run
+const BATCH_SIZE = 1000
+
+// Record the reminder first so it fires only once, then deliver it.
+// Returns true when this call sent it.
+const remind = async ({ kind, task, recipient, leadHours = 0 }) => {
+  let log
+  try {
+    log = await ReminderLog.create({
+      organization: task.organization,
+      task: task._id,
+      kind,
+      leadHours,
+      dueDate: task.dueDate,
+      recipient: recipient._id,
+    })
+  } catch (error) {
+    // Already sent
+    if (error.code === 11000) return false
+    throw error
+  }
+
+  try {
+    log.channels = await sendReminder({ kind, task, recipient, leadHours })
+    await log.save()
+    return true
+  } catch (error) {
+    // Let the next run try again
+    await log.deleteOne()
+    throw error
+  }
+}
+
+// Users with an active membership in the organization
+const activeMembers = async (organizationId, filter) => {
+  const memberships = await Membership.find({ organization: organizationId, isActive: true, ...filter }).populate(
+    "user",
+    "name email isActive",
+  )
+  return memberships.map((membership) => membership.user).filter((user) => user?.isActive)
+}
+
+// Matching tasks in _id order, one batch at a time until a batch comes back short
+async function* findInBatches(filter) {
+  let batch = await Task.find(filter).sort({ _id: 1 }).limit(BATCH_SIZE)
+  yield* batch
+  while (batch.length === BATCH_SIZE) {
+    const lastId = batch[batch.length - 1]._id
+    batch = await Task.find({ ...filter, _id: { $gt: lastId } }).sort({ _id: 1 }).limit(BATCH_SIZE)
+    yield* batch
+  }
+}
+
+const safely = async (send) => {
+  try {
+    return (await send()) ? 1 : 0
+  } catch (error) {
+    console.error("Send reminder error:", error)
+    return 0
+  }
+}
+
+// Remind assignees of open tasks that are due within the organization's lead times
+const remindDueSoon = async (organization, now) => {
+  const leads = [...(organization.settings?.reminderLeadHours || [])].sort((a, b) => a - b)
+  if (leads.length === 0) return 0
+
+  const tasks = findInBatches({
+    organization: organization._id,
+    assignedTo: { $ne: null },
+    status: { $nin: RESERVED_STATUSES },
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + leads[leads.length - 1] * HOUR) },
+  })
+
+  let sent = 0
+  for await (const task of tasks) {
+    // Only the shortest lead time reached fires, so a task created shortly before its due date
+    // gets one reminder rather than one per lead time
+    const hoursLeft = (task.dueDate - now) / HOUR
+    const leadHours = leads.find((lead) => hoursLeft <= lead)
+
+    const [assignee] = await activeMembers(organization._id, { user: task.assignedTo })
+    if (assignee) {
+      sent += await safely(() => remind({ kind: "due_soon", task, recipient: assignee, leadHours }))
+    }
+  }
+  return sent
+}
+
+// Tell the creator and the organization's managers about tasks that went overdue
+const remindOverdue = async (organization, now) => {
+  if (organization.settings?.overdueReminders === false) return 0
+
+  const tasks = findInBatches({
+    organization: organization._id,
+    status: { $ne: COMPLETED_STATUS },
+    dueDate: { $lte: now, $gt: new Date(now.getTime() - OVERDUE_LOOKBACK) },
+  })
+
+  const managers = await activeMembers(organization._id, { role: "Manager" })
+
+  let sent = 0
+  for await (const task of tasks) {
+    const [creator] = await activeMembers(organization._id, { user: task.createdBy })
+    const recipients = [creator, ...managers].filter(
+      (user, index, users) => user && users.findIndex((other) => other?._id.equals(user._id)) === index,
+    )
+
+    for (const recipient of recipients) {
+      sent += await safely(() => remind({ kind: "overdue", task, recipient }))
+    }
+  }
+  return sent
+}
+
+// Run every 15 minutes to send due-date and overdue reminders
+module.exports = {
+  name: "dueDateReminders",
+  schedule: "*/15 * * * *",
+  description: "Remind assignees before tasks are due and report overdue tasks",
+  handler: async () => {
+    const now = new Date()
+    const organizations = await Organization.find({ isActive: true }).select("settings")
+
+    let sent = 0
+    for (const organization of organizations) {
+      sent += await remindDueSoon(organization, now)
+      sent += await remindOverdue(organization, now)
+    }
+
+    if (sent > 0) {
+      console.log(`Sent ${sent} task reminders`)
+    }
+
+    return sent
+  },
+}
@@ -0,0 +1,11 @@
+const runner = require("./runner")
+
+// Every background job the server runs
+runner.registerJob(require("./taskExpiration"))
+runner.registerJob(require("./recurringTasks"))
+runner.registerJob(require("./dueDateReminders"))
+runner.registerJob(require("./webhookDeliveries"))
+runner.registerJob(require("./trashRetention"))
+runner.registerJob(require("./organizationDeletion"))
+
+module.exports = runner
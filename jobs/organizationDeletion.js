@@ -0,0 +1,30 @@
+const Organization = require("../models/Organization")
+const { deleteOrganization } = require("../services/organizationLifecycle")
+
+// Run daily to delete organizations whose grace period after deactivation has ended
+module.exports = {
+  name: "organizationDeletion",
+  schedule: "0 4 * * *",
+  description: "Delete the data of organizations deactivated past their grace period",
+  // Deleting a large organization removes every stored file
+  lockTtl: 60 * 60 * 1000,
+  handler: async () => {
+    const organizations = await Organization.find({
+      isActive: false,
+      deletionScheduledAt: { $lte: new Date() },
+    })
+
+    let deleted = 0
+    for (const organization of organizations) {
+      try {
+        await deleteOrganization(organization)
+        console.log(`Deleted organization ${organization.slug}`)
+        deleted += 1
+      } catch (error) {
+        console.error(`Delete organization ${organization._id} error:`, error)
+      }
+    }
+
+    return deleted
+  },
+}
@@ -0,0 +1,38 @@
+const Task = require("../models/Task")
+const { COMPLETED_STATUS } = require("../utils/workflow")
+const { createNextOccurrence } = require("../services/recurrence")
+
+// Occurrences handled per run; the rest are picked up by the next run
+const BATCH_SIZE = 500
+
+// Run every 15 minutes to create the next occurrence of recurring tasks
+module.exports = {
+  name: "recurringTasks",
+  schedule: "*/15 * * * *",
+  description: "Create the next occurrence of recurring tasks that were completed or are past due",
+  handler: async () => {
+    const now = new Date()
+
+    // Occurrences that are done or past due and have no successor yet
+    const tasks = await Task.find({
+      series: { $exists: true },
+      recurrenceHandled: { $ne: true },
+      $or: [{ status: COMPLETED_STATUS }, { dueDate: { $lt: now } }],
+    }).limit(BATCH_SIZE)
+
+    let created = 0
+    for (const task of tasks) {
+      try {
+        if (await createNextOccurrence(task, { now })) created += 1
+      } catch (error) {
+        console.error(`Recurring task ${task._id} error:`, error)
+      }
+    }
+
+    if (created > 0) {
+      console.log(`Created ${created} recurring task occurrences`)
+    }
+
+    return created
+  },
+}
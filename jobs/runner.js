@@ -0,0 +1,99 @@
+const crypto = require("crypto")
+const os = require("os")
+const cron = require("node-cron")
+const JobLock = require("../models/JobLock")
+const JobRun = require("../models/JobRun")
+
+const DEFAULT_LOCK_TTL = 10 * 60 * 1000 // 10 minutes
+
+// Identifies this process when several instances share the database
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`
+
+const jobs = new Map()
+
+// Register a job: { name, schedule (cron expression), description, handler, lockTtl }.
+// The handler returns the number of documents it affected.
+const registerJob = (job) => {
+  if (!cron.validate(job.schedule)) {
+    throw new Error(`Invalid schedule for job ${job.name}: ${job.schedule}`)
+  }
+
+  jobs.set(job.name, { lockTtl: DEFAULT_LOCK_TTL, ...job })
+}
+
+const acquireLock = async (name, ttl) => {
+  const now = new Date()
+
+  try {
+    await JobLock.findOneAndUpdate(
+      { _id: name, $or: [{ lockedUntil: { $lte: now } }, { lockedUntil: null }] },
+      { $set: { lockedBy: instanceId, lockedUntil: new Date(now.getTime() + ttl) } },
+      { upsert: true },
+    )
+    return true
+  } catch (error) {
+    // The upsert collides with the existing document while another instance holds the lock
+    if (error.code === 11000) return false
+    throw error
+  }
+}
+
+const releaseLock = (name) =>
+  JobLock.updateOne({ _id: name, lockedBy: instanceId }, { $set: { lockedUntil: new Date() } })
+
+// Run a job now. Returns the recorded run, or null if another run holds the lock.
+const runJob = async (name, { trigger = "schedule", triggeredBy } = {}) => {
+  const job = jobs.get(name)
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`)
+  }
+
+  if (!(await acquireLock(name, job.lockTtl))) {
+    return null
+  }
+
+  const run = new JobRun({ job: name, trigger, triggeredBy, startedAt: new Date(), host: instanceId })
+
+  try {
+    await run.save()
+    run.affected = (await job.handler()) || 0
+    run.status = "succeeded"
+  } catch (error) {
+    console.error(`Job ${name} error:`, error)
+    run.status = "failed"
+    run.error = error.message
+  } finally {
+    run.finishedAt = new Date()
+    await run.save()
+    await releaseLock(name)
+  }
+
+  return run
+}
+
+// Schedule every registered job; call once the database connection is up
+const start = () => {
+  for (const job of jobs.values()) {
+    if (job.task) continue
+
+    job.task = cron.schedule(job.schedule, () => {
+      runJob(job.name).catch((error) => console.error(`Job ${job.name} error:`, error))
+    })
+  }
+
+  console.log(`Started ${jobs.size} background jobs`)
+}
+
+const stop = () => {
+  for (const job of jobs.values()) {
+    job.task?.stop()
+    job.task = undefined
+  }
+}
+
+const getJob = (name) => jobs.get(name)
+
+const listJobs = () =>
+  [...jobs.values()].map(({ name, schedule, description }) => ({ name, schedule, description }))
+
+module.exports = { registerJob, runJob, start, stop, getJob, listJobs }
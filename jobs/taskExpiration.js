@@ -1,36 +1,41 @@
-const cron = require("node-cron")
 const Task = require("../models/Task")
+const { publish } = require("../services/events")
+const { EXPIRED_STATUS, RESERVED_STATUSES } = require("../utils/workflow")
 
 // Run every hour to check for expired tasks
-const taskExpirationJob = cron.schedule(
-  "0 * * * *",
-  async () => {
-    try {
-      console.log("Running task expiration job...")
+module.exports = {
+  name: "taskExpiration",
+  schedule: "0 * * * *",
+  description: "Mark overdue tasks as Expired",
+  handler: async () => {
+    const now = new Date()
 
-      const now = new Date()
+    // Find tasks that are overdue and not completed or expired
+    const overdue = {
+      dueDate: { $lt: now },
+      status: { $nin: RESERVED_STATUSES },
+    }
+    const ids = await Task.find(overdue).distinct("_id")
 
-      // Find tasks that are overdue and not completed or expired
-      const expiredTasks = await Task.updateMany(
-        {
-          dueDate: { $lt: now },
-          status: { $nin: ["Completed", "Expired"] },
-        },
-        {
-          $set: { status: "Expired" },
-        },
-      )
+    const expiredTasks = await Task.updateMany(
+      { ...overdue, _id: { $in: ids } },
+      {
+        $set: { status: EXPIRED_STATUS },
+      },
+    )
 
-      if (expiredTasks.modifiedCount > 0) {
-        console.log(`Expired ${expiredTasks.modifiedCount} overdue tasks`)
-      }
-    } catch (error) {
-      console.error("Task expiration job error:", error)
+    if (expiredTasks.modifiedCount > 0) {
+      console.log(`Expired ${expiredTasks.modifiedCount} overdue tasks`)
     }
-  },
-  {
-    scheduled: false, // Don't start automatically
-  },
-)
 
-module.exports = taskExpirationJob
+    // Tasks completed in the meantime were not expired
+    const expired = await Task.find({ _id: { $in: ids }, status: EXPIRED_STATUS }).select(
+      "title organization assignedTo createdBy project",
+    )
+    for (const task of expired) {
+      await publish("task.expired", { organization: task.organization, task })
+    }
+
+    return expiredTasks.modifiedCount
+  },
+}
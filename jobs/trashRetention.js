@@ -0,0 +1,36 @@
+const Task = require("../models/Task")
+const Organization = require("../models/Organization")
+const { purgeTask } = require("../services/taskOperations")
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Run daily to purge tasks that have been in the trash longer than their organization keeps them
+module.exports = {
+  name: "trashRetention",
+  schedule: "30 3 * * *",
+  description: "Permanently delete trashed tasks past the organization's retention period",
+  handler: async () => {
+    const now = Date.now()
+    let purged = 0
+
+    const organizationIds = await Task.distinct("organization", { deletedAt: { $ne: null } })
+    const organizations = await Organization.find({ _id: { $in: organizationIds } }).select(
+      "settings.trashRetentionDays",
+    )
+
+    for (const organization of organizations) {
+      const cutoff = new Date(now - organization.settings.trashRetentionDays * DAY)
+      const cursor = Task.find({ organization: organization._id, deletedAt: { $lte: cutoff } }).cursor()
+      for await (const task of cursor) {
+        await purgeTask(task)
+        purged += 1
+      }
+    }
+
+    if (purged > 0) {
+      console.log(`Purged ${purged} tasks from the trash`)
+    }
+
+    return purged
+  },
+}
@@ -0,0 +1,30 @@
+const { claimDueDelivery, deliver } = require("../services/webhooks")
+
+// Deliveries retried per run; the rest are picked up by the next run
+const BATCH_SIZE = 50
+
+// Run every minute to retry webhook deliveries whose backoff has passed
+module.exports = {
+  name: "webhookDeliveries",
+  schedule: "* * * * *",
+  description: "Retry failed webhook deliveries with exponential backoff",
+  // Each attempt can wait for a slow endpoint
+  lockTtl: 15 * 60 * 1000,
+  handler: async () => {
+    let attempted = 0
+
+    while (attempted < BATCH_SIZE) {
+      const delivery = await claimDueDelivery()
+      if (!delivery) break
+
+      try {
+        await deliver(delivery)
+      } catch (error) {
+        console.error(`Webhook delivery ${delivery._id} error:`, error)
+      }
+      attempted += 1
+    }
+
+    return attempted
+  },
+}
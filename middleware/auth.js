@@ -12,11 +12,12 @@ const auth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
     const user = await User.findById(decoded.userId).populate("organization").select("-password")
 
-    if (!user || !user.isActive) {
+    if (!user || !user.isActive || (decoded.tv || 0) !== user.tokenVersion) {
       return res.status(401).json({ message: "Token is not valid" })
     }
 
     req.user = user
+    req.tokenOrganizationId = decoded.org
     next()
   } catch (error) {
     console.error("Auth middleware error:", error)
@@ -24,14 +25,15 @@ const auth = async (req, res, next) => {
   }
 }
 
-// Role-based authorization middleware
+// Role-based authorization middleware. Roles are per organization, so this
+// must run after tenantIsolation has resolved the membership.
 const authorize = (...roles) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: "Not authenticated" })
     }
 
-    if (!roles.includes(req.user.role)) {
+    if (!req.membership || !roles.includes(req.membership.role)) {
       return res.status(403).json({
         message: "Access denied. Insufficient permissions.",
       })
@@ -41,4 +43,22 @@ const authorize = (...roles) => {
   }
 }
 
-module.exports = { auth, authorize }
+// Platform operators, listed by email in PLATFORM_ADMIN_EMAILS. Unlike authorize("Admin") this
+// is not tied to an organization: it guards what every tenant shares, such as background jobs.
+const platformAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: "Not authenticated" })
+  }
+
+  const emails = (process.env.PLATFORM_ADMIN_EMAILS || "")
+    .split(",")
+    .map((email) => email.trim().toLowerCase())
+    .filter(Boolean)
+  if (!emails.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({ message: "Access denied. Platform administrators only." })
+  }
+
+  next()
+}
+
+module.exports = { auth, authorize, platformAdmin }
@@ -1,16 +1,66 @@
 const mongoose = require("mongoose")
+const Membership = require("../models/Membership")
+const Project = require("../models/Project")
+
+// Active organization for the request: X-Organization-Id header, then the token's
+// organization claim, then the user's default organization
+const resolveOrganizationId = (req) =>
+  req.header("X-Organization-Id") || req.tokenOrganizationId || req.user?.organization?._id
+
+// Projects widen what members can see (see visibilityCondition in utils/taskFilters.js)
+const findVisibleProjectIds = (userId, organizationId, role) =>
+  role === "Member" ? Project.find({ organization: organizationId, members: userId }).distinct("_id") : []
+
+// Deactivated organizations only admit their admins, and only where allowDeactivated is set
+const isOrganizationOpen = (membership, { allowDeactivated = false } = {}) =>
+  membership.organization.isActive || (allowDeactivated && membership.role === "Admin")
 
 // Middleware to ensure data isolation per organization
-const tenantIsolation = (req, res, next) => {
-  if (!req.user || !req.user.organization) {
-    return res.status(401).json({ message: "Organization context required" })
-  }
+const isolateTenant = ({ allowDeactivated = false } = {}) => async (req, res, next) => {
+  try {
+    const organizationId = resolveOrganizationId(req)
+
+    if (!req.user || !organizationId) {
+      return res.status(401).json({ message: "Organization context required" })
+    }
+
+    if (!mongoose.isValidObjectId(organizationId)) {
+      return res.status(400).json({ message: "Invalid organization id" })
+    }
 
-  // Add organization filter to all queries
-  req.organizationId = req.user.organization._id
-  next()
+    const membership = await Membership.findForUser(req.user._id, organizationId)
+    if (!membership || !membership.isActive) {
+      return res.status(403).json({ message: "You are not a member of this organization" })
+    }
+
+    await membership.populate("organization")
+    if (!membership.organization) {
+      return res.status(403).json({ message: "You are not a member of this organization" })
+    }
+    if (!isOrganizationOpen(membership, { allowDeactivated })) {
+      return res.status(403).json({
+        message: "Organization is deactivated",
+        deletionScheduledAt: membership.organization.deletionScheduledAt,
+      })
+    }
+
+    // Add organization filter to all queries; roles are per organization
+    req.organizationId = membership.organization._id
+    req.organization = membership.organization
+    req.membership = membership
+    req.projectIds = await findVisibleProjectIds(req.user._id, req.organizationId, membership.role)
+    next()
+  } catch (error) {
+    console.error("Tenant isolation error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
 }
 
+const tenantIsolation = isolateTenant()
+
+// For the routes that let admins export or reactivate a deactivated organization
+const deactivatedTenantAccess = isolateTenant({ allowDeactivated: true })
+
 // Helper function to add organization filter to queries
 const addOrganizationFilter = (query, organizationId) => {
   if (query.getFilter) {
@@ -23,4 +73,11 @@ const addOrganizationFilter = (query, organizationId) => {
   return query
 }
 
-module.exports = { tenantIsolation, addOrganizationFilter }
+module.exports = {
+  tenantIsolation,
+  deactivatedTenantAccess,
+  isOrganizationOpen,
+  resolveOrganizationId,
+  findVisibleProjectIds,
+  addOrganizationFilter,
+}
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose")
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Dotted event name, e.g. "member.role_changed"
+    action: {
+      type: String,
+      required: true,
+    },
+    target: {
+      type: {
+        type: String,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+      label: {
+        type: String,
+      },
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// Indexes for performance
+auditLogSchema.index({ organization: 1, createdAt: -1 })
+auditLogSchema.index({ organization: 1, action: 1, createdAt: -1 })
+auditLogSchema.index({ organization: 1, actor: 1, createdAt: -1 })
+
+// The audit log is append-only: entries can be created but never changed or removed
+const rejectWrite = function (next) {
+  next(new Error("Audit log entries are immutable"))
+}
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectWrite(next)
+  next()
+})
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectWrite,
+)
+auditLogSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], { document: false, query: true }, rejectWrite)
+auditLogSchema.pre("deleteOne", { document: true, query: false }, rejectWrite)
+
+module.exports = mongoose.model("AuditLog", auditLogSchema)
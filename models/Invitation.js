@@ -0,0 +1,83 @@
+const mongoose = require("mongoose")
+
+const invitationSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: ["Admin", "Manager", "Member"],
+      default: "Member",
+    },
+    // SHA-256 of the token sent in the invitation link
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked", "expired"],
+      default: "pending",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: {
+      type: Date,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for performance
+invitationSchema.index({ organization: 1, status: 1 })
+invitationSchema.index({ organization: 1, email: 1 })
+
+// Pending invitations past their expiry are reported as expired
+invitationSchema.statics.expireStale = function (filter = {}) {
+  return this.updateMany(
+    { ...filter, status: "pending", expiresAt: { $lte: new Date() } },
+    { $set: { status: "expired" } },
+  )
+}
+
+// Never expose the token hash
+invitationSchema.methods.toJSON = function () {
+  const invitation = this.toObject()
+  delete invitation.tokenHash
+  return invitation
+}
+
+module.exports = mongoose.model("Invitation", invitationSchema)
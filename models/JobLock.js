@@ -0,0 +1,21 @@
+const mongoose = require("mongoose")
+
+// One document per job name; whoever holds an unexpired lock runs the job
+const jobLockSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+    },
+    lockedBy: {
+      type: String,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+module.exports = mongoose.model("JobLock", jobLockSchema)
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual"],
+      default: "schedule",
+    },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed"],
+      default: "running",
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    affected: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+    },
+    // Instance that ran the job
+    host: {
+      type: String,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for performance
+jobRunSchema.index({ job: 1, startedAt: -1 })
+
+module.exports = mongoose.model("JobRun", jobRunSchema)
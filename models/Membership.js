@@ -0,0 +1,74 @@
+const mongoose = require("mongoose")
+
+const membershipSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["Admin", "Manager", "Member"],
+      default: "Member",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for performance
+membershipSchema.index({ user: 1, organization: 1 }, { unique: true })
+membershipSchema.index({ organization: 1, isActive: 1, role: 1 })
+
+// Users created before memberships existed only carry organization/role/isActive on the User
+// document. Create the matching membership the first time it is needed.
+membershipSchema.statics.backfillFromUser = function (user) {
+  if (!user.organization) return null
+
+  return this.findOneAndUpdate(
+    { user: user._id, organization: user.organization._id || user.organization },
+    { $setOnInsert: { role: user.role, isActive: user.isActive !== false } },
+    { upsert: true, new: true },
+  )
+}
+
+// Find a user's membership in an organization, including legacy users without one yet
+membershipSchema.statics.findForUser = async function (userId, organizationId) {
+  const membership = await this.findOne({ user: userId, organization: organizationId })
+  if (membership) return membership
+
+  const legacyUser = await mongoose.model("User").findOne({ _id: userId, organization: organizationId })
+  return legacyUser ? this.backfillFromUser(legacyUser) : null
+}
+
+// Active membership of an active user, or null
+membershipSchema.statics.findActiveMember = async function (userId, organizationId) {
+  const membership = await this.findForUser(userId, organizationId)
+  if (!membership || !membership.isActive) return null
+
+  await membership.populate("user", "-password")
+  return membership.user?.isActive ? membership : null
+}
+
+// All active memberships of a user, with their organizations
+membershipSchema.statics.listForUser = async function (user) {
+  if (user.organization) {
+    await this.backfillFromUser(user)
+  }
+
+  const memberships = await this.find({ user: user._id, isActive: true }).populate("organization").sort({ createdAt: 1 })
+  return memberships.filter((membership) => membership.organization)
+}
+
+module.exports = mongoose.model("Membership", membershipSchema)
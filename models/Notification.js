@@ -0,0 +1,54 @@
+const mongoose = require("mongoose")
+
+// Kinds of notification; users can switch each one off in their preferences
+const NOTIFICATION_TYPES = ["task_assigned", "task_commented", "task_mentioned", "task_expired", "role_changed"]
+
+const notificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      maxlength: 500,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+    },
+    // Missing for notifications caused by the system (e.g. expirations)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// Indexes for performance
+notificationSchema.index({ user: 1, organization: 1, createdAt: -1 })
+notificationSchema.index({ user: 1, organization: 1, readAt: 1 })
+// Notifications are kept for 90 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 })
+
+notificationSchema.statics.NOTIFICATION_TYPES = NOTIFICATION_TYPES
+
+module.exports = mongoose.model("Notification", notificationSchema)
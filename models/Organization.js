@@ -1,4 +1,11 @@
 const mongoose = require("mongoose");
+const { DEFAULT_WORKFLOW } = require("../utils/workflow");
+const {
+  DEFAULT_CATEGORIES,
+  FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  LABEL_COLOR_PATTERN,
+} = require("../utils/taskFields");
 
 const organizationSchema = new mongoose.Schema(
   {
@@ -34,11 +41,102 @@ const organizationSchema = new mongoose.Schema(
         enum: ["Manager", "Member"],
         default: "Member",
       },
+      // Largest single attachment, in bytes
+      maxAttachmentSize: {
+        type: Number,
+        min: 1,
+        default: () => Number(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+      },
+      // Total attachment storage for the organization, in bytes
+      attachmentQuota: {
+        type: Number,
+        min: 0,
+        default: 500 * 1024 * 1024,
+      },
+      // MIME types accepted for attachments ("image/*" style wildcards allowed); empty allows all
+      allowedMimeTypes: {
+        type: [String],
+        default: [],
+      },
+      // Hours before the due date at which assignees are reminded
+      reminderLeadHours: {
+        type: [{ type: Number, min: 1, max: 720 }],
+        default: () => [24],
+      },
+      // Notify the creator and managers when a task goes overdue
+      overdueReminders: {
+        type: Boolean,
+        default: true,
+      },
+      // Days a deleted task stays in the trash before it is purged
+      trashRetentionDays: {
+        type: Number,
+        min: 1,
+        max: 365,
+        default: 30,
+      },
+    },
+    // Task statuses and the transitions allowed between them
+    workflow: {
+      initialStatus: {
+        type: String,
+        default: DEFAULT_WORKFLOW.initialStatus,
+      },
+      statuses: {
+        type: [String],
+        default: () => [...DEFAULT_WORKFLOW.statuses],
+      },
+      transitions: {
+        type: [
+          {
+            _id: false,
+            // "*" matches any status
+            from: { type: String, required: true },
+            to: { type: String, required: true },
+            // Roles allowed to make the transition; empty allows every role
+            roles: [{ type: String, enum: ["Admin", "Manager", "Member"] }],
+          },
+        ],
+        default: () => DEFAULT_WORKFLOW.transitions.map((transition) => ({ ...transition })),
+      },
+    },
+    // Task categories offered to members
+    categories: {
+      type: [{ type: String, trim: true, maxlength: 50 }],
+      default: () => [...DEFAULT_CATEGORIES],
     },
+    labels: [
+      {
+        name: { type: String, required: true, trim: true, maxlength: 50 },
+        color: { type: String, match: LABEL_COLOR_PATTERN, default: "#6b7280" },
+      },
+    ],
+    // Typed fields stored on tasks under customFields.<key>
+    customFields: [
+      {
+        key: { type: String, required: true, match: FIELD_KEY_PATTERN },
+        name: { type: String, required: true, trim: true, maxlength: 100 },
+        type: { type: String, enum: FIELD_TYPES, required: true },
+        // Choices for select and multiselect fields
+        options: [{ type: String, trim: true, maxlength: 100 }],
+        required: { type: Boolean, default: false },
+      },
+    ],
+    // Deactivated organizations can be reactivated until deletionScheduledAt, then are deleted
     isActive: {
       type: Boolean,
       default: true,
     },
+    deactivatedAt: {
+      type: Date,
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    deletionScheduledAt: {
+      type: Date,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -53,6 +151,7 @@ const organizationSchema = new mongoose.Schema(
 // Index for performance
 organizationSchema.index({ slug: 1 });
 organizationSchema.index({ createdBy: 1 });
+organizationSchema.index({ deletionScheduledAt: 1 }, { sparse: true });
 
 // Generate unique slug from name before saving
 organizationSchema.pre("save", async function (next) {
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose")
+
+const projectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 1000,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Members see every task of the project
+    members: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Assigned to new tasks of the project that are created without an assignee
+    defaultAssignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Archived projects are read-only: no new tasks can be added to them
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for performance
+projectSchema.index({ organization: 1, name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } })
+projectSchema.index({ organization: 1, members: 1 })
+
+projectSchema.pre("save", function (next) {
+  if (this.isModified("archived")) {
+    this.archivedAt = this.archived ? new Date() : undefined
+  }
+  next()
+})
+
+module.exports = mongoose.model("Project", projectSchema)
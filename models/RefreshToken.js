@@ -0,0 +1,56 @@
+const mongoose = require("mongoose")
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the token handed to the client; the raw token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Active organization the session was opened for, carried over on rotation
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    // All tokens produced by rotating the same login share a family
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for performance
+refreshTokenSchema.index({ user: 1, revokedAt: 1 })
+refreshTokenSchema.index({ family: 1 })
+
+// Let MongoDB drop tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema)
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+// One entry per reminder sent; the unique index makes each reminder fire once
+const reminderLogSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: ["due_soon", "overdue"],
+      required: true,
+    },
+    // Lead time the due_soon reminder was sent for; 0 for overdue reminders
+    leadHours: {
+      type: Number,
+      default: 0,
+    },
+    // The due date the reminder was about, so moving the due date allows new reminders
+    dueDate: {
+      type: Date,
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    channels: [String],
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  },
+)
+
+reminderLogSchema.index({ task: 1, kind: 1, leadHours: 1, dueDate: 1, recipient: 1 }, { unique: true })
+// Old entries are only needed while their task can still trigger the same reminder
+reminderLogSchema.index({ sentAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 })
+
+module.exports = mongoose.model("ReminderLog", reminderLogSchema)
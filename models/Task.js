@@ -1,5 +1,8 @@
 const mongoose = require("mongoose")
 
+// Semantic order of priorities, stored on each task so it can be sorted and indexed
+const PRIORITY_RANKS = { Low: 1, Medium: 2, High: 3 }
+
 const taskSchema = new mongoose.Schema(
   {
     title: {
@@ -12,9 +15,9 @@ const taskSchema = new mongoose.Schema(
       type: String,
       maxlength: 2000,
     },
+    // One of the organization's workflow statuses (see utils/workflow.js)
     status: {
       type: String,
-      enum: ["Todo", "In Progress", "Completed", "Expired"],
       default: "Todo",
     },
     priority: {
@@ -22,10 +25,27 @@ const taskSchema = new mongoose.Schema(
       enum: ["Low", "Medium", "High"],
       default: "Medium",
     },
+    priorityRank: {
+      type: Number,
+      default: PRIORITY_RANKS.Medium,
+    },
+    // One of the organization's categories (see utils/taskFields.js)
     category: {
       type: String,
-      enum: ["Bug", "Feature", "Improvement"],
       required: true,
+      trim: true,
+    },
+    // Ids of the organization's labels
+    labels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+    // Values of the organization's custom fields, keyed by field key
+    customFields: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: undefined,
     },
     dueDate: {
       type: Date,
@@ -37,6 +57,18 @@ const taskSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // Parent task when this task is a subtask
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+    },
+    // Tasks that must be finished before this one
+    blockedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -47,6 +79,22 @@ const taskSchema = new mongoose.Schema(
       ref: "Organization",
       required: true,
     },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    // Recurring tasks: the series and this task's position in it
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TaskSeries",
+    },
+    occurrence: {
+      type: Number,
+    },
+    // Set once the next occurrence has been created (or the series has ended)
+    recurrenceHandled: {
+      type: Boolean,
+    },
     comments: [
       {
         user: {
@@ -59,16 +107,31 @@ const taskSchema = new mongoose.Schema(
           required: true,
           maxlength: 1000,
         },
+        mentions: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        ],
         createdAt: {
           type: Date,
           default: Date.now,
         },
+        editedAt: {
+          type: Date,
+        },
+        // The author, or an Admin moderating the comment
+        editedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
       },
     ],
     attachments: [
       {
         filename: String,
         originalName: String,
+        mimeType: String,
         size: Number,
         uploadedBy: {
           type: mongoose.Schema.Types.ObjectId,
@@ -80,6 +143,15 @@ const taskSchema = new mongoose.Schema(
         },
       },
     ],
+    // Set while the task is in the trash; trashed tasks are purged after the organization's retention period
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
   },
   {
     timestamps: true,
@@ -89,8 +161,35 @@ const taskSchema = new mongoose.Schema(
 // Indexes for performance
 taskSchema.index({ organization: 1, status: 1 })
 taskSchema.index({ organization: 1, assignedTo: 1 })
-taskSchema.index({ organization: 1, dueDate: 1 })
 taskSchema.index({ organization: 1, createdBy: 1 })
+taskSchema.index({ organization: 1, labels: 1 })
+taskSchema.index({ organization: 1, parent: 1 })
+taskSchema.index({ organization: 1, project: 1 })
+taskSchema.index({ series: 1, occurrence: 1 }, { unique: true, partialFilterExpression: { series: { $exists: true } } })
+taskSchema.index({ recurrenceHandled: 1, dueDate: 1 }, { partialFilterExpression: { series: { $exists: true } } })
+taskSchema.index({ organization: 1, blockedBy: 1 })
+taskSchema.index({ organization: 1, deletedAt: 1 })
+
+// Indexes backing the sort options of the task list, with _id as the cursor tie-breaker
+taskSchema.index({ organization: 1, createdAt: -1, _id: -1 })
+taskSchema.index({ organization: 1, updatedAt: -1, _id: -1 })
+taskSchema.index({ organization: 1, dueDate: 1, _id: 1 })
+taskSchema.index({ organization: 1, priorityRank: -1, _id: -1 })
+taskSchema.index({ organization: 1, title: 1, _id: 1 })
+
+// Full-text search; only one text index is allowed per collection
+taskSchema.index(
+  { title: "text", description: "text", "comments.text": "text" },
+  { name: "task_text_search", weights: { title: 10, description: 5, "comments.text": 1 } },
+)
+
+// Keep priorityRank in step with priority
+taskSchema.pre("validate", function (next) {
+  if (this.isModified("priority") || this.isNew) {
+    this.priorityRank = PRIORITY_RANKS[this.priority]
+  }
+  next()
+})
 
 // Auto-set completedAt when status changes to Completed
 taskSchema.pre("save", function (next) {
@@ -104,4 +203,36 @@ taskSchema.pre("save", function (next) {
   next()
 })
 
+// Leave trashed tasks out of queries unless the filter mentions deletedAt or the query sets
+// the withDeleted option. Deletes are not filtered so purging and cleanup reach the trash.
+const TRASH_AWARE_QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+]
+
+taskSchema.pre(TRASH_AWARE_QUERIES, function () {
+  if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) return
+  this.where({ deletedAt: null })
+})
+
+taskSchema.pre("aggregate", function () {
+  if (this.options.withDeleted) return
+  const pipeline = this.pipeline()
+  const match = pipeline[0]?.$match
+  if (match && "deletedAt" in match) return
+  if (match) {
+    // Keep a $text match the first stage
+    pipeline[0] = { $match: { ...match, deletedAt: null } }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } })
+  }
+})
+
+taskSchema.statics.PRIORITY_RANKS = PRIORITY_RANKS
+
 module.exports = mongoose.model("Task", taskSchema)
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+const taskActivitySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    // Kept so the history stays readable after the task is deleted
+    taskTitle: {
+      type: String,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    // Missing for changes made by the system (e.g. background jobs)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      enum: ["created", "updated", "status_changed", "assigned", "deleted", "restored"],
+      required: true,
+    },
+    changes: [
+      {
+        _id: false,
+        field: {
+          type: String,
+          required: true,
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// Indexes for performance
+taskActivitySchema.index({ task: 1, createdAt: -1 })
+taskActivitySchema.index({ organization: 1, createdAt: -1 })
+taskActivitySchema.index({ organization: 1, actor: 1, createdAt: -1 })
+
+module.exports = mongoose.model("TaskActivity", taskActivitySchema)
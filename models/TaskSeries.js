@@ -0,0 +1,80 @@
+const mongoose = require("mongoose")
+const { FREQUENCIES } = require("../utils/recurrence")
+
+// A recurring task: the rule and the template each new occurrence is created from
+const taskSeriesSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    recurrence: {
+      frequency: {
+        type: String,
+        enum: FREQUENCIES,
+        required: true,
+      },
+      interval: {
+        type: Number,
+        min: 1,
+        default: 1,
+      },
+      // 0 (Sunday) to 6 (Saturday), for weekly rules
+      weekdays: [Number],
+      // For monthly rules; shorter months use their last day
+      dayOfMonth: Number,
+      endDate: Date,
+      // Total number of occurrences
+      count: Number,
+      // Due date of the first occurrence
+      anchor: {
+        type: Date,
+        required: true,
+      },
+    },
+    // Task fields copied to each new occurrence
+    template: {
+      title: String,
+      description: String,
+      category: String,
+      priority: String,
+      assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      project: { type: mongoose.Schema.Types.ObjectId, ref: "Project" },
+      labels: [mongoose.Schema.Types.ObjectId],
+      customFields: { type: Map, of: mongoose.Schema.Types.Mixed },
+    },
+    occurrenceCount: {
+      type: Number,
+      default: 1,
+    },
+    // Set when the rule has run out or recurrence was turned off
+    endedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+taskSeriesSchema.index({ organization: 1 })
+
+// Fields of a task that make up the template
+taskSeriesSchema.statics.TEMPLATE_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "priority",
+  "assignedTo",
+  "project",
+  "labels",
+  "customFields",
+]
+
+module.exports = mongoose.model("TaskSeries", taskSeriesSchema)
@@ -21,11 +21,12 @@ const userSchema = new mongoose.Schema(
       required: true,
       minlength: 6,
     },
+    // Default organization; every organization the user belongs to has a Membership
     organization: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Organization",
-      
     },
+    // Role in the default organization. Per-organization roles live on Membership.
     role: {
       type: String,
       enum: ["Admin", "Manager", "Member"],
@@ -38,12 +39,24 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
-    inviteToken: {
+    // Bumped to invalidate every access token issued so far
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // SHA-256 of the emailed reset token
+    resetPasswordToken: {
       type: String,
     },
-    inviteExpires: {
+    resetPasswordExpires: {
       type: Date,
     },
+    // Notification types the user switched off or on; missing types are on
+    notificationPreferences: {
+      type: Map,
+      of: Boolean,
+      default: undefined,
+    },
   },
   {
     timestamps: true,
@@ -76,7 +89,8 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const user = this.toObject()
   delete user.password
-  delete user.inviteToken
+  delete user.resetPasswordToken
+  delete user.resetPasswordExpires
   return user
 }
 
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+// An endpoint that receives the organization's events as signed HTTP POSTs
+const webhookSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Event types to send; "*" subscribes to every event
+    events: {
+      type: [String],
+      required: true,
+    },
+    // HMAC key for payload signatures; only returned when created or rotated
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for performance
+webhookSchema.index({ organization: 1, active: 1 })
+
+module.exports = mongoose.model("Webhook", webhookSchema)
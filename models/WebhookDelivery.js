@@ -0,0 +1,71 @@
+const mongoose = require("mongoose")
+
+// One event sent to one webhook, with the outcome of its latest attempt
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // The exact JSON body that is signed and sent
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // When a pending delivery is (re)tried next
+    nextAttemptAt: {
+      type: Date,
+    },
+    lastAttemptAt: {
+      type: Date,
+    },
+    responseStatus: {
+      type: Number,
+    },
+    // Start of the response body, or the network error
+    responseBody: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    durationMs: {
+      type: Number,
+    },
+    // Set on deliveries created by the redeliver endpoint
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Indexes for performance
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 })
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 })
+// The delivery log is kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 })
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema)
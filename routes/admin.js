@@ -0,0 +1,99 @@
+const express = require("express")
+const { param, query, validationResult } = require("express-validator")
+const JobRun = require("../models/JobRun")
+const jobRunner = require("../jobs")
+const { auth, platformAdmin } = require("../middleware/auth")
+
+const router = express.Router()
+
+// Jobs run across every organization, so these routes are for platform administrators only
+router.use(auth)
+router.use(platformAdmin)
+
+// List jobs with their most recent runs
+router.get("/jobs", [query("runs").optional().isInt({ min: 1, max: 50 })], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const runLimit = Number.parseInt(req.query.runs) || 5
+
+    const jobs = await Promise.all(
+      jobRunner.listJobs().map(async (job) => ({
+        ...job,
+        lastRuns: await JobRun.find({ job: job.name }).sort({ startedAt: -1 }).limit(runLimit),
+      })),
+    )
+
+    res.json(jobs)
+  } catch (error) {
+    console.error("Get jobs error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Get run history for a job
+router.get(
+  "/jobs/:name/runs",
+  [
+    param("name").isString(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      if (!jobRunner.getJob(req.params.name)) {
+        return res.status(404).json({ message: "Job not found" })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 20
+      const skip = (page - 1) * limit
+
+      const filter = { job: req.params.name }
+      const runs = await JobRun.find(filter).sort({ startedAt: -1 }).skip(skip).limit(limit)
+      const total = await JobRun.countDocuments(filter)
+
+      res.json({
+        runs,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      console.error("Get job runs error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Trigger a job manually
+router.post("/jobs/:name/run", [param("name").isString()], async (req, res) => {
+  try {
+    if (!jobRunner.getJob(req.params.name)) {
+      return res.status(404).json({ message: "Job not found" })
+    }
+
+    const run = await jobRunner.runJob(req.params.name, { trigger: "manual", triggeredBy: req.user._id })
+    if (!run) {
+      return res.status(409).json({ message: "Job is already running" })
+    }
+
+    res.json(run)
+  } catch (error) {
+    console.error("Run job error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
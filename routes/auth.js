@@ -1,12 +1,27 @@
 const express = require("express")
-const jwt = require("jsonwebtoken")
+const crypto = require("crypto")
 const { body, validationResult } = require("express-validator")
 const User = require("../models/User")
 const Organization = require("../models/Organization")
+const Invitation = require("../models/Invitation")
+const Membership = require("../models/Membership")
 const { auth } = require("../middleware/auth")
+const { resolveOrganizationId, isOrganizationOpen } = require("../middleware/tenant")
+const {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+} = require("../services/tokens")
+const { sendMail, templates } = require("../services/mailer")
+const { recordAudit } = require("../services/audit")
+const { publish } = require("../services/events")
 
 const router = express.Router()
 
+const PASSWORD_RESET_TTL = 60 * 60 * 1000 // 1 hour
+
 // Helper function to generate a slug from organization name
 function generateSlug(text) {
   return text
@@ -17,6 +32,30 @@ function generateSlug(text) {
     .replace(/[^\w\-]+/g, "")    // Remove all non-word chars
     .replace(/\-\-+/g, "-")      // Replace multiple - with single -
 }
+
+// Shape a membership for API responses
+const serializeMembership = (membership) => ({
+  organization: {
+    id: membership.organization._id,
+    name: membership.organization.name,
+    slug: membership.organization.slug,
+    isActive: membership.organization.isActive,
+  },
+  role: membership.role,
+})
+
+// User payload with the active organization and every organization the user belongs to
+const serializeUser = (user, activeMembership, memberships) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: activeMembership ? activeMembership.role : null,
+  organization: activeMembership ? serializeMembership(activeMembership).organization : null,
+  memberships: memberships.map(serializeMembership),
+})
+
+const findMembership = (memberships, organizationId) =>
+  memberships.find((membership) => organizationId && membership.organization._id.equals(organizationId)) || null
 router.post(
   "/register",
   [
@@ -57,26 +96,24 @@ router.post(
       })
       await organization.save()
 
-      // 3. Update user with organization id
+      // 3. Update user with organization id and make them its Admin
       user.organization = organization._id
       await user.save()
 
-      // 4. Generate JWT token
-      const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: "7d" })
+      const membership = await Membership.create({
+        user: user._id,
+        organization: organization._id,
+        role: "Admin",
+      })
+      membership.organization = organization
+
+      // 4. Start a session
+      const { token, refreshToken } = await issueTokens(user, req, organization._id)
 
       res.status(201).json({
         token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          organization: {
-            id: organization._id,
-            name: organization.name,
-            slug: organization.slug,
-          },
-        },
+        refreshToken,
+        user: serializeUser(user, membership, [membership]),
       })
     } catch (error) {
       console.error("Registration error:", error)
@@ -99,39 +136,59 @@ router.post(
 
       const { email, password } = req.body
 
-      // Find user and populate organization
-      const user = await User.findOne({ email, isActive: true }).populate("organization")
+      const user = await User.findOne({ email, isActive: true })
 
       if (!user) {
         return res.status(400).json({ message: "Invalid credentials" })
       }
 
+      const userTarget = { type: "user", id: user._id, label: user.email }
+
       // Check password
       const isMatch = await user.comparePassword(password)
       if (!isMatch) {
+        if (user.organization) {
+          await recordAudit(req, {
+            organization: user.organization,
+            actor: user._id,
+            action: "auth.login_failed",
+            target: userTarget,
+          })
+        }
         return res.status(400).json({ message: "Invalid credentials" })
       }
 
+      // Start in the default organization, or the first one the user still belongs to. Deactivated
+      // organizations come last and only admit admins, who can export or reactivate them.
+      const memberships = await Membership.listForUser(user)
+      const open = memberships
+        .filter((membership) => isOrganizationOpen(membership, { allowDeactivated: true }))
+        .sort((a, b) => b.organization.isActive - a.organization.isActive)
+      if (memberships.length > 0 && open.length === 0) {
+        return res.status(403).json({ message: "Your organization has been deactivated" })
+      }
+      const running = open.filter((membership) => membership.organization.isActive)
+      const activeMembership = findMembership(running, user.organization) || open[0] || null
+
       // Update last login
       user.lastLogin = new Date()
       await user.save()
 
-      // Generate JWT token
-      const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: "7d" })
+      const { token, refreshToken } = await issueTokens(user, req, activeMembership?.organization._id)
+
+      if (activeMembership) {
+        await recordAudit(req, {
+          organization: activeMembership.organization._id,
+          actor: user._id,
+          action: "auth.login",
+          target: userTarget,
+        })
+      }
 
       res.json({
         token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          organization: {
-            id: user.organization._id,
-            name: user.organization.name,
-            slug: user.organization.slug,
-          },
-        },
+        refreshToken,
+        user: serializeUser(user, activeMembership, memberships),
       })
     } catch (error) {
       console.error("Login error:", error)
@@ -140,24 +197,161 @@ router.post(
   }
 )
 
-// Get current user
+// Exchange a refresh token for a new token pair
+router.post("/refresh", [body("refreshToken").isString().notEmpty()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const session = await rotateRefreshToken(req.body.refreshToken, req)
+    if (!session) {
+      return res.status(401).json({ message: "Invalid refresh token" })
+    }
+
+    res.json({ token: session.token, refreshToken: session.refreshToken })
+  } catch (error) {
+    console.error("Refresh token error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Log out the session a refresh token belongs to
+router.post("/logout", [body("refreshToken").isString().notEmpty()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    await revokeRefreshToken(req.body.refreshToken)
+
+    res.json({ message: "Logged out successfully" })
+  } catch (error) {
+    console.error("Logout error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Log out all devices
+router.post("/logout-all", auth, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id)
+
+    res.json({ message: "Logged out of all devices" })
+  } catch (error) {
+    console.error("Logout all error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Request a password reset email
+router.post("/forgot-password", [body("email").isEmail().normalizeEmail()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true })
+
+    // Respond the same way whether or not the account exists
+    if (user) {
+      const token = crypto.randomBytes(32).toString("hex")
+      const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL)
+
+      user.resetPasswordToken = hashToken(token)
+      user.resetPasswordExpires = expiresAt
+      await user.save()
+
+      await sendMail({ to: user.email, ...templates.passwordReset({ user, token, expiresAt }) })
+    }
+
+    res.json({ message: "If that account exists, a password reset email has been sent" })
+  } catch (error) {
+    console.error("Forgot password error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Reset password with an emailed token
+router.post(
+  "/reset-password",
+  [body("token").isString().notEmpty(), body("password").isLength({ min: 6 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const user = await User.findOne({
+        resetPasswordToken: hashToken(req.body.token),
+        resetPasswordExpires: { $gt: Date.now() },
+        isActive: true,
+      })
+
+      if (!user) {
+        return res.status(400).json({ message: "Invalid or expired reset token" })
+      }
+
+      user.password = req.body.password
+      user.resetPasswordToken = undefined
+      user.resetPasswordExpires = undefined
+      await user.save()
+
+      // Sessions opened before the reset may belong to whoever locked the user out
+      await revokeAllSessions(user._id)
+
+      res.json({ message: "Password has been reset" })
+    } catch (error) {
+      console.error("Reset password error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Get current user with all organization memberships
 router.get("/me", auth, async (req, res) => {
   try {
+    const memberships = await Membership.listForUser(req.user)
+    const activeMembership = findMembership(memberships, resolveOrganizationId(req))
+
+    res.json({ user: serializeUser(req.user, activeMembership, memberships) })
+  } catch (error) {
+    console.error("Get user error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Switch the organization carried in the access token
+router.post("/switch-organization", [auth, body("organizationId").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const membership = await Membership.findActiveMember(req.user._id, req.body.organizationId)
+    if (!membership) {
+      return res.status(403).json({ message: "You are not a member of this organization" })
+    }
+
+    await membership.populate("organization")
+    if (!isOrganizationOpen(membership, { allowDeactivated: true })) {
+      return res.status(403).json({ message: "Organization is deactivated" })
+    }
+    const memberships = await Membership.listForUser(req.user)
+    const { token, refreshToken } = await issueTokens(req.user, req, membership.organization._id)
+
     res.json({
-      user: {
-        id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        role: req.user.role,
-        organization: {
-          id: req.user.organization._id,
-          name: req.user.organization.name,
-          slug: req.user.organization.slug,
-        },
-      },
+      token,
+      refreshToken,
+      user: serializeUser(req.user, membership, memberships),
     })
   } catch (error) {
-    console.error("Get user error:", error)
+    console.error("Switch organization error:", error)
     res.status(500).json({ message: "Server error" })
   }
 })
@@ -180,49 +374,71 @@ router.post(
 
       const { name, email, password, inviteToken } = req.body
 
-      // Find organization by invite token
-      const existingUser = await User.findOne({
-        inviteToken,
-        inviteExpires: { $gt: Date.now() },
-      }).populate("organization")
+      const invitation = await Invitation.findOne({ tokenHash: hashToken(inviteToken) }).populate("organization")
 
-      if (!existingUser) {
+      if (!invitation || invitation.status !== "pending" || !invitation.organization?.isActive) {
         return res.status(400).json({ message: "Invalid or expired invite token" })
       }
 
-      // Check if user already exists
-      const userExists = await User.findOne({ email })
-      if (userExists) {
-        return res.status(400).json({ message: "User already exists" })
+      if (invitation.expiresAt <= Date.now()) {
+        invitation.status = "expired"
+        await invitation.save()
+        return res.status(400).json({ message: "Invalid or expired invite token" })
       }
 
-      // Create new user
-      const user = new User({
-        name,
-        email,
-        password,
-        organization: existingUser.organization._id,
-        role: "Member",
-      })
+      if (invitation.email !== email) {
+        return res.status(400).json({ message: "This invitation was sent to a different email address" })
+      }
 
-      await user.save()
+      // Existing users join with their current password; everyone else gets a new account
+      let user = await User.findOne({ email })
+      if (user) {
+        if (!user.isActive || !(await user.comparePassword(password))) {
+          return res.status(400).json({ message: "Invalid credentials" })
+        }
+      } else {
+        user = new User({
+          name,
+          email,
+          password,
+          organization: invitation.organization._id,
+          role: invitation.role,
+        })
+        await user.save()
+      }
+
+      const existingMembership = await Membership.findForUser(user._id, invitation.organization._id)
+      if (existingMembership?.isActive) {
+        return res.status(400).json({ message: "You are already a member of this organization" })
+      }
+
+      // Honor the invited role, reactivating a previous membership if there is one
+      const membership = await Membership.findOneAndUpdate(
+        { user: user._id, organization: invitation.organization._id },
+        { $set: { role: invitation.role, isActive: true } },
+        { upsert: true, new: true },
+      )
+      membership.organization = invitation.organization
+
+      invitation.status = "accepted"
+      invitation.acceptedAt = new Date()
+      invitation.acceptedBy = user._id
+      await invitation.save()
+      await publish("member.joined", {
+        organization: invitation.organization._id,
+        actor: user,
+        user,
+        role: membership.role,
+      })
 
-      // Generate JWT token
-      const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, { expiresIn: "7d" })
+      // Start a session in the organization that was joined
+      const memberships = await Membership.listForUser(user)
+      const { token, refreshToken } = await issueTokens(user, req, invitation.organization._id)
 
       res.status(201).json({
         token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          organization: {
-            id: existingUser.organization._id,
-            name: existingUser.organization.name,
-            slug: existingUser.organization.slug,
-          },
-        },
+        refreshToken,
+        user: serializeUser(user, membership, memberships),
       })
     } catch (error) {
       console.error("Join organization error:", error)
@@ -0,0 +1,31 @@
+const express = require("express")
+const { auth } = require("../middleware/auth")
+const { tenantIsolation } = require("../middleware/tenant")
+const { connect } = require("../services/liveUpdates")
+
+const router = express.Router()
+
+// EventSource cannot send headers, so the token and organization may also be passed as
+// ?access_token= and ?organizationId=. Headers win when both are present.
+const credentialsFromQuery = (req, res, next) => {
+  const { access_token: token, organizationId } = req.query
+  if (!req.header("Authorization") && typeof token === "string") {
+    req.headers.authorization = `Bearer ${token}`
+  }
+  if (!req.header("X-Organization-Id") && typeof organizationId === "string") {
+    req.headers["x-organization-id"] = organizationId
+  }
+  next()
+}
+
+// Stream the organization's task and member events as Server-Sent Events
+router.get("/", credentialsFromQuery, auth, tenantIsolation, (req, res) => {
+  try {
+    connect(req, res)
+  } catch (error) {
+    console.error("Event stream error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
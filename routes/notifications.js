@@ -0,0 +1,162 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const { auth } = require("../middleware/auth")
+const { tenantIsolation } = require("../middleware/tenant")
+
+const router = express.Router()
+
+// Apply authentication and tenant isolation to all routes
+router.use(auth)
+router.use(tenantIsolation)
+
+const { NOTIFICATION_TYPES } = Notification
+
+// Every notification type with whether the user receives it
+const preferencesOf = (user) =>
+  Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, user.notificationPreferences?.get(type) !== false]))
+
+// The user's notifications in the active organization
+const ownFilter = (req) => ({ user: req.user._id, organization: req.organizationId })
+
+// List notifications, newest first; unread=true only returns unread ones
+router.get(
+  "/",
+  [
+    query("unread").optional().isBoolean(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 20
+      const filter = ownFilter(req)
+      if (req.query.unread === "true") filter.readAt = null
+
+      const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(filter)
+          .populate("actor", "name email")
+          .populate("task", "title status")
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ ...ownFilter(req), readAt: null }),
+      ])
+
+      res.json({
+        notifications,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      console.error("Get notifications error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Get the number of unread notifications
+router.get("/unread-count", async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ ...ownFilter(req), readAt: null })
+    res.json({ count })
+  } catch (error) {
+    console.error("Get unread count error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Mark every notification as read
+router.put("/read-all", async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ ...ownFilter(req), readAt: null }, { $set: { readAt: new Date() } })
+    res.json({ updated: result.modifiedCount })
+  } catch (error) {
+    console.error("Mark all notifications read error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Get notification preferences
+router.get("/preferences", async (req, res) => {
+  try {
+    res.json(preferencesOf(req.user))
+  } catch (error) {
+    console.error("Get notification preferences error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Switch notification types on or off, e.g. { "task_commented": false }
+router.put(
+  "/preferences",
+  [
+    body().custom((value) => {
+      const unknown = Object.keys(value).filter((type) => !NOTIFICATION_TYPES.includes(type))
+      if (unknown.length > 0) {
+        throw new Error(`Unknown notification types: ${unknown.join(", ")}`)
+      }
+      return true
+    }),
+    body("*").isBoolean({ strict: true }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const user = await User.findById(req.user._id)
+      for (const [type, enabled] of Object.entries(req.body)) {
+        user.set(`notificationPreferences.${type}`, enabled)
+      }
+      await user.save()
+
+      res.json(preferencesOf(user))
+    } catch (error) {
+      console.error("Update notification preferences error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Mark a notification as read
+router.put("/:id/read", [param("id").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.id, ...ownFilter(req) })
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" })
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date()
+      await notification.save()
+    }
+
+    res.json(notification)
+  } catch (error) {
+    console.error("Mark notification read error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
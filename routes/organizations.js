@@ -1,17 +1,124 @@
 const express = require("express")
-const { body, validationResult } = require("express-validator")
+const { body, param, query, validationResult } = require("express-validator")
 const crypto = require("crypto")
 const User = require("../models/User")
 const Organization = require("../models/Organization")
+const Invitation = require("../models/Invitation")
+const Membership = require("../models/Membership")
+const AuditLog = require("../models/AuditLog")
+const Task = require("../models/Task")
+const Project = require("../models/Project")
 const { auth, authorize } = require("../middleware/auth")
-const { tenantIsolation } = require("../middleware/tenant")
+const { tenantIsolation, deactivatedTenantAccess } = require("../middleware/tenant")
+const { hashToken, revokeAllSessions } = require("../services/tokens")
+const { sendMail, templates } = require("../services/mailer")
+const { recordAudit } = require("../services/audit")
+const { publish } = require("../services/events")
+const {
+  deactivateOrganization,
+  reactivateOrganization,
+  writeOrganizationArchive,
+} = require("../services/organizationLifecycle")
+const { toCsvRow } = require("../utils/csv")
+const { getWorkflow, validateWorkflow } = require("../utils/workflow")
+const { splitList } = require("../utils/taskFilters")
+const { getCategories, FIELD_TYPES, FIELD_KEY_PATTERN, LABEL_COLOR_PATTERN } = require("../utils/taskFields")
 
 const router = express.Router()
 
-// Apply authentication and tenant isolation to all routes
+// Apply authentication to all routes
 router.use(auth)
+
+// Export and reactivation also serve the admins of a deactivated organization, so they come
+// before the tenant isolation that applies to every other route
+
+// Download the organization's data (members, projects, tasks and comments) as a zip archive
+router.get("/export", [deactivatedTenantAccess, authorize("Admin")], async (req, res) => {
+  try {
+    await recordAudit(req, { action: "organization.exported", target: organizationTarget(req.organization) })
+
+    const stamp = new Date().toISOString().slice(0, 10)
+    res.attachment(`${req.organization.slug}-export-${stamp}.zip`)
+    await writeOrganizationArchive(req.organization, res)
+  } catch (error) {
+    console.error("Export organization error:", error)
+    if (res.headersSent) return res.destroy(error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Reactivate a deactivated organization before its data is deleted
+router.post("/reactivate", [deactivatedTenantAccess, authorize("Admin")], async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId)
+    if (organization.isActive) {
+      return res.status(400).json({ message: "Organization is already active" })
+    }
+    if (organization.deletionScheduledAt <= new Date()) {
+      return res.status(400).json({ message: "The grace period has ended; the organization is being deleted" })
+    }
+
+    const before = { isActive: false, deletionScheduledAt: organization.deletionScheduledAt }
+    await reactivateOrganization(organization)
+    await recordAudit(req, {
+      action: "organization.reactivated",
+      target: organizationTarget(organization),
+      before,
+      after: { isActive: true },
+    })
+
+    res.json(organization)
+  } catch (error) {
+    console.error("Reactivate organization error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 router.use(tenantIsolation)
 
+const INVITE_TTL = 7 * 24 * 60 * 60 * 1000 // 7 days
+
+// Give the invitation a fresh token and expiry, then email the link
+const sendInvitation = async (invitation, req) => {
+  const token = crypto.randomBytes(32).toString("hex")
+
+  invitation.tokenHash = hashToken(token)
+  invitation.expiresAt = new Date(Date.now() + INVITE_TTL)
+  invitation.status = "pending"
+  invitation.sentCount += 1
+  invitation.lastSentAt = new Date()
+  await invitation.save()
+
+  await sendMail({
+    to: invitation.email,
+    ...templates.invitation({
+      organization: req.organization,
+      inviter: req.user,
+      role: invitation.role,
+      token,
+      expiresAt: invitation.expiresAt,
+    }),
+  })
+}
+
+// Audited organization fields
+const organizationSnapshot = (organization) => {
+  const { name, description, settings } = organization.toObject()
+  return { name, description, settings }
+}
+
+const organizationTarget = (organization) => ({ type: "organization", id: organization._id, label: organization.name })
+
+const invitationTarget = (invitation) => ({ type: "invitation", id: invitation._id, label: invitation.email })
+
+// Member payload: the user's profile with their role in this organization
+const serializeMember = (membership) => ({
+  ...membership.user.toJSON(),
+  role: membership.role,
+  organization: membership.organization,
+  joinedAt: membership.createdAt,
+})
+
 // Get organization details
 router.get("/", async (req, res) => {
   try {
@@ -38,6 +145,14 @@ router.put(
     body("settings.theme").optional().isIn(["light", "dark", "auto"]),
     body("settings.allowPublicSignup").optional().isBoolean(),
     body("settings.defaultRole").optional().isIn(["Manager", "Member"]),
+    body("settings.maxAttachmentSize").optional().isInt({ min: 1 }).toInt(),
+    body("settings.attachmentQuota").optional().isInt({ min: 0 }).toInt(),
+    body("settings.allowedMimeTypes").optional().isArray(),
+    body("settings.allowedMimeTypes.*").matches(/^[\w.+-]+\/(\*|[\w.+-]+)$/),
+    body("settings.reminderLeadHours").optional().isArray({ max: 5 }),
+    body("settings.reminderLeadHours.*").isInt({ min: 1, max: 720 }).toInt(),
+    body("settings.overdueReminders").optional().isBoolean().toBoolean(),
+    body("settings.trashRetentionDays").optional().isInt({ min: 1, max: 365 }).toInt(),
   ],
   async (req, res) => {
     try {
@@ -51,6 +166,8 @@ router.put(
         return res.status(404).json({ message: "Organization not found" })
       }
 
+      const before = organizationSnapshot(organization)
+
       // Update fields
       if (req.body.name) organization.name = req.body.name
       if (req.body.description !== undefined) organization.description = req.body.description
@@ -59,6 +176,13 @@ router.put(
       }
 
       await organization.save()
+      await recordAudit(req, {
+        action: "organization.settings_updated",
+        target: organizationTarget(organization),
+        before,
+        after: organizationSnapshot(organization),
+      })
+
       res.json(organization)
     } catch (error) {
       console.error("Update organization error:", error)
@@ -67,24 +191,577 @@ router.put(
   },
 )
 
+// Deactivate the organization: members lose access at once and its data is deleted after the
+// grace period unless an admin reactivates it. The slug must be sent back as confirmation.
+router.post("/deactivate", [authorize("Admin"), body("confirm").isString()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const organization = await Organization.findById(req.organizationId)
+    if (req.body.confirm !== organization.slug) {
+      return res.status(400).json({ message: "confirm must match the organization's slug" })
+    }
+
+    await deactivateOrganization(organization, req.user)
+    await recordAudit(req, {
+      action: "organization.deactivated",
+      target: organizationTarget(organization),
+      before: { isActive: true },
+      after: { isActive: false, deletionScheduledAt: organization.deletionScheduledAt },
+    })
+
+    res.json({ message: "Organization deactivated", deletionScheduledAt: organization.deletionScheduledAt })
+  } catch (error) {
+    console.error("Deactivate organization error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Get the task workflow
+router.get("/workflow", async (req, res) => {
+  try {
+    res.json(getWorkflow(req.organization))
+  } catch (error) {
+    console.error("Get workflow error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Replace the task workflow
+router.put(
+  "/workflow",
+  [
+    authorize("Admin"),
+    body("initialStatus").isString().trim().notEmpty(),
+    body("statuses").isArray({ min: 2, max: 30 }),
+    body("statuses.*").isString().trim().isLength({ min: 1, max: 50 }),
+    body("transitions").isArray({ max: 200 }),
+    body("transitions.*.from").isString().trim().notEmpty(),
+    body("transitions.*.to").isString().trim().notEmpty(),
+    body("transitions.*.roles").optional().isArray(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const workflow = {
+        initialStatus: req.body.initialStatus,
+        statuses: req.body.statuses,
+        transitions: req.body.transitions.map(({ from, to, roles = [] }) => ({ from, to, roles })),
+      }
+
+      const problems = validateWorkflow(workflow)
+      if (problems.length > 0) {
+        return res.status(400).json({ message: "Invalid workflow", errors: problems })
+      }
+
+      const organization = await Organization.findById(req.organizationId)
+      if (!organization) {
+        return res.status(404).json({ message: "Organization not found" })
+      }
+
+      // Statuses can only be dropped once no task uses them
+      const before = getWorkflow(organization)
+      const removed = before.statuses.filter((status) => !workflow.statuses.includes(status))
+      if (removed.length > 0) {
+        const inUse = await Task.distinct("status", { organization: req.organizationId, status: { $in: removed } })
+        if (inUse.length > 0) {
+          return res.status(400).json({ message: `Statuses still used by tasks: ${inUse.join(", ")}` })
+        }
+      }
+
+      const previous = JSON.parse(JSON.stringify(before))
+      organization.workflow = workflow
+      await organization.save()
+      await recordAudit(req, {
+        action: "organization.workflow_updated",
+        target: organizationTarget(organization),
+        before: previous,
+        after: workflow,
+      })
+
+      res.json(organization.workflow)
+    } catch (error) {
+      console.error("Update workflow error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Get task categories
+router.get("/categories", async (req, res) => {
+  try {
+    res.json(getCategories(req.organization))
+  } catch (error) {
+    console.error("Get categories error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Add a task category
+router.post(
+  "/categories",
+  [authorize("Admin"), body("name").isString().trim().isLength({ min: 1, max: 50 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const organization = await Organization.findById(req.organizationId)
+      if (!organization) {
+        return res.status(404).json({ message: "Organization not found" })
+      }
+
+      const { name } = req.body
+      if (getCategories(organization).includes(name)) {
+        return res.status(400).json({ message: "Category already exists" })
+      }
+
+      organization.categories = [...getCategories(organization), name]
+      await organization.save()
+      await recordAudit(req, {
+        action: "category.created",
+        target: { type: "category", label: name },
+        after: { name },
+      })
+
+      res.status(201).json(organization.categories)
+    } catch (error) {
+      console.error("Create category error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Rename a task category; tasks in it move along
+router.put(
+  "/categories/:name",
+  [authorize("Admin"), body("name").isString().trim().isLength({ min: 1, max: 50 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const organization = await Organization.findById(req.organizationId)
+      if (!organization) {
+        return res.status(404).json({ message: "Organization not found" })
+      }
+
+      const categories = getCategories(organization)
+      const previous = req.params.name
+      const { name } = req.body
+
+      if (!categories.includes(previous)) {
+        return res.status(404).json({ message: "Category not found" })
+      }
+      if (name !== previous && categories.includes(name)) {
+        return res.status(400).json({ message: "Category already exists" })
+      }
+
+      organization.categories = categories.map((category) => (category === previous ? name : category))
+      await organization.save()
+      // Tasks in the trash follow the rename so they restore with a valid category
+      await Task.updateMany(
+        { organization: req.organizationId, category: previous },
+        { $set: { category: name } },
+      ).setOptions({ withDeleted: true })
+      await recordAudit(req, {
+        action: "category.updated",
+        target: { type: "category", label: name },
+        before: { name: previous },
+        after: { name },
+      })
+
+      res.json(organization.categories)
+    } catch (error) {
+      console.error("Update category error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Delete a task category that no task uses
+router.delete("/categories/:name", authorize("Admin"), async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.organizationId)
+    if (!organization) {
+      return res.status(404).json({ message: "Organization not found" })
+    }
+
+    const categories = getCategories(organization)
+    const { name } = req.params
+
+    if (!categories.includes(name)) {
+      return res.status(404).json({ message: "Category not found" })
+    }
+    if (categories.length === 1) {
+      return res.status(400).json({ message: "An organization needs at least one category" })
+    }
+
+    const inUse = await Task.countDocuments({ organization: req.organizationId, category: name })
+    if (inUse > 0) {
+      return res.status(400).json({ message: `Category is used by ${inUse} task(s)` })
+    }
+
+    organization.categories = categories.filter((category) => category !== name)
+    await organization.save()
+    await recordAudit(req, {
+      action: "category.deleted",
+      target: { type: "category", label: name },
+      before: { name },
+    })
+
+    res.json({ message: "Category deleted successfully" })
+  } catch (error) {
+    console.error("Delete category error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+const labelTarget = (label) => ({ type: "label", id: label._id, label: label.name })
+
+const labelValidators = (optional) => {
+  const name = body("name")
+  const color = body("color").optional()
+  return [
+    (optional ? name.optional() : name).isString().trim().isLength({ min: 1, max: 50 }),
+    color.matches(LABEL_COLOR_PATTERN).withMessage("color must be a hex color such as #ff8800"),
+  ]
+}
+
+const hasLabelNamed = (organization, name, exceptId) =>
+  organization.labels.some(
+    (label) => label.name.toLowerCase() === name.toLowerCase() && !label._id.equals(exceptId),
+  )
+
+// Get task labels
+router.get("/labels", async (req, res) => {
+  try {
+    res.json(req.organization.labels)
+  } catch (error) {
+    console.error("Get labels error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Create a task label
+router.post("/labels", [authorize("Admin"), ...labelValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const organization = await Organization.findById(req.organizationId)
+    if (!organization) {
+      return res.status(404).json({ message: "Organization not found" })
+    }
+
+    const { name, color } = req.body
+    if (hasLabelNamed(organization, name)) {
+      return res.status(400).json({ message: "Label already exists" })
+    }
+
+    organization.labels.push({ name, color })
+    await organization.save()
+
+    const label = organization.labels[organization.labels.length - 1]
+    await recordAudit(req, {
+      action: "label.created",
+      target: labelTarget(label),
+      after: { name: label.name, color: label.color },
+    })
+
+    res.status(201).json(label)
+  } catch (error) {
+    console.error("Create label error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Update a task label
+router.put(
+  "/labels/:labelId",
+  [authorize("Admin"), param("labelId").isMongoId(), ...labelValidators(true)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const organization = await Organization.findById(req.organizationId)
+      const label = organization?.labels.id(req.params.labelId)
+      if (!label) {
+        return res.status(404).json({ message: "Label not found" })
+      }
+
+      const { name, color } = req.body
+      if (name && hasLabelNamed(organization, name, label._id)) {
+        return res.status(400).json({ message: "Label already exists" })
+      }
+
+      const before = { name: label.name, color: label.color }
+      if (name) label.name = name
+      if (color) label.color = color
+      await organization.save()
+      await recordAudit(req, {
+        action: "label.updated",
+        target: labelTarget(label),
+        before,
+        after: { name: label.name, color: label.color },
+      })
+
+      res.json(label)
+    } catch (error) {
+      console.error("Update label error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Delete a task label and remove it from tasks
+router.delete("/labels/:labelId", [authorize("Admin"), param("labelId").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const organization = await Organization.findById(req.organizationId)
+    const label = organization?.labels.id(req.params.labelId)
+    if (!label) {
+      return res.status(404).json({ message: "Label not found" })
+    }
+
+    label.deleteOne()
+    await organization.save()
+    await Task.updateMany(
+      { organization: req.organizationId, labels: label._id },
+      { $pull: { labels: label._id } },
+    ).setOptions({ withDeleted: true })
+    await recordAudit(req, {
+      action: "label.deleted",
+      target: labelTarget(label),
+      before: { name: label.name, color: label.color },
+    })
+
+    res.json({ message: "Label deleted successfully" })
+  } catch (error) {
+    console.error("Delete label error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+const customFieldTarget = (field) => ({ type: "customField", id: field._id, label: field.key })
+
+const customFieldSnapshot = ({ key, name, type, options, required }) => ({
+  key,
+  name,
+  type,
+  options: [...options],
+  required,
+})
+
+// Select fields need options; other types take none
+const checkFieldOptions = (type, options) => {
+  const isSelect = ["select", "multiselect"].includes(type)
+  if (isSelect && !options?.length) return `${type} fields need at least one option`
+  if (!isSelect && options?.length) return `${type} fields do not take options`
+  if (options && new Set(options).size !== options.length) return "Options must be unique"
+  return null
+}
+
+const customFieldValidators = (optional) => {
+  const name = body("name")
+  return [
+    (optional ? name.optional() : name).isString().trim().isLength({ min: 1, max: 100 }),
+    body("options").optional().isArray({ max: 100 }),
+    body("options.*").isString().trim().isLength({ min: 1, max: 100 }),
+    body("required").optional().isBoolean().toBoolean(),
+  ]
+}
+
+// Get custom field definitions
+router.get("/custom-fields", async (req, res) => {
+  try {
+    res.json(req.organization.customFields)
+  } catch (error) {
+    console.error("Get custom fields error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Define a custom field
+router.post(
+  "/custom-fields",
+  [
+    authorize("Admin"),
+    body("key").matches(FIELD_KEY_PATTERN).withMessage("key must be lowercase letters, digits and underscores"),
+    body("type").isIn(FIELD_TYPES),
+    ...customFieldValidators(false),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { key, name, type, options = [], required = false } = req.body
+
+      const optionProblem = checkFieldOptions(type, options)
+      if (optionProblem) {
+        return res.status(400).json({ message: optionProblem })
+      }
+
+      const organization = await Organization.findById(req.organizationId)
+      if (!organization) {
+        return res.status(404).json({ message: "Organization not found" })
+      }
+
+      if (organization.customFields.some((field) => field.key === key)) {
+        return res.status(400).json({ message: "A custom field with this key already exists" })
+      }
+
+      organization.customFields.push({ key, name, type, options, required })
+      await organization.save()
+
+      const field = organization.customFields[organization.customFields.length - 1]
+      await recordAudit(req, {
+        action: "custom_field.created",
+        target: customFieldTarget(field),
+        after: customFieldSnapshot(field),
+      })
+
+      res.status(201).json(field)
+    } catch (error) {
+      console.error("Create custom field error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Update a custom field; its key and type are fixed
+router.put(
+  "/custom-fields/:fieldId",
+  [authorize("Admin"), param("fieldId").isMongoId(), ...customFieldValidators(true)],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const organization = await Organization.findById(req.organizationId)
+      const field = organization?.customFields.id(req.params.fieldId)
+      if (!field) {
+        return res.status(404).json({ message: "Custom field not found" })
+      }
+
+      const { name, options, required } = req.body
+
+      if (options) {
+        const optionProblem = checkFieldOptions(field.type, options)
+        if (optionProblem) {
+          return res.status(400).json({ message: optionProblem })
+        }
+
+        // Options can only be dropped once no task uses them
+        const removed = field.options.filter((option) => !options.includes(option))
+        if (removed.length > 0) {
+          const inUse = await Task.distinct(`customFields.${field.key}`, {
+            organization: req.organizationId,
+            [`customFields.${field.key}`]: { $in: removed },
+          })
+          const usedOptions = inUse.flat().filter((option) => removed.includes(option))
+          if (usedOptions.length > 0) {
+            return res.status(400).json({ message: `Options still used by tasks: ${usedOptions.join(", ")}` })
+          }
+        }
+      }
+
+      const before = customFieldSnapshot(field)
+      if (name) field.name = name
+      if (options) field.options = options
+      if (required !== undefined) field.required = required
+      await organization.save()
+      await recordAudit(req, {
+        action: "custom_field.updated",
+        target: customFieldTarget(field),
+        before,
+        after: customFieldSnapshot(field),
+      })
+
+      res.json(field)
+    } catch (error) {
+      console.error("Update custom field error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Delete a custom field and its values on tasks
+router.delete("/custom-fields/:fieldId", [authorize("Admin"), param("fieldId").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const organization = await Organization.findById(req.organizationId)
+    const field = organization?.customFields.id(req.params.fieldId)
+    if (!field) {
+      return res.status(404).json({ message: "Custom field not found" })
+    }
+
+    field.deleteOne()
+    await organization.save()
+    await Task.updateMany(
+      { organization: req.organizationId, [`customFields.${field.key}`]: { $exists: true } },
+      { $unset: { [`customFields.${field.key}`]: "" } },
+    ).setOptions({ withDeleted: true })
+    await recordAudit(req, {
+      action: "custom_field.deleted",
+      target: customFieldTarget(field),
+      before: customFieldSnapshot(field),
+    })
+
+    res.json({ message: "Custom field deleted successfully" })
+  } catch (error) {
+    console.error("Delete custom field error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
 // Get organization members
 router.get("/members", async (req, res) => {
   try {
-    const members = await User.find({
+    const memberships = await Membership.find({
       organization: req.organizationId,
       isActive: true,
     })
-      .select("-password")
+      .populate({ path: "user", select: "-password", match: { isActive: true } })
       .sort({ createdAt: -1 })
 
-    res.json(members)
+    res.json(memberships.filter((membership) => membership.user).map(serializeMember))
   } catch (error) {
     console.error("Get members error:", error)
     res.status(500).json({ message: "Server error" })
   }
 })
 
-// Generate invite token
+// Invite a user by email
 router.post(
   "/invite",
   [
@@ -101,38 +778,152 @@ router.post(
 
       const { email, role = "Member" } = req.body
 
-      // Check if user already exists
+      // Users from other organizations can be invited; current members cannot
       const existingUser = await User.findOne({ email })
-      if (existingUser) {
-        return res.status(400).json({ message: "User already exists" })
+      if (existingUser && (await Membership.findActiveMember(existingUser._id, req.organizationId))) {
+        return res.status(400).json({ message: "User is already a member of this organization" })
       }
 
-      // Generate invite token
-      const inviteToken = crypto.randomBytes(32).toString("hex")
-      const inviteExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+      await Invitation.expireStale({ organization: req.organizationId, email })
 
-      // Create placeholder user with invite token
-      const inviteUser = new User({
-        name: "Invited User",
+      const pendingInvitation = await Invitation.findOne({
+        organization: req.organizationId,
         email,
-        password: "temporary", // Will be replaced when user accepts invite
+        status: "pending",
+      })
+      if (pendingInvitation) {
+        return res.status(400).json({ message: "An invitation is already pending for this email" })
+      }
+
+      const invitation = new Invitation({
         organization: req.organizationId,
+        email,
         role,
-        isActive: false,
-        inviteToken,
-        inviteExpires,
+        invitedBy: req.user._id,
+      })
+      await sendInvitation(invitation, req)
+      await recordAudit(req, {
+        action: "invitation.created",
+        target: invitationTarget(invitation),
+        after: { email, role },
       })
 
-      await inviteUser.save()
+      res.status(201).json({ message: "Invitation sent successfully", invitation })
+    } catch (error) {
+      console.error("Create invite error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
 
-      res.json({
-        message: "Invite created successfully",
-        inviteToken,
-        inviteUrl: `${process.env.FRONTEND_URL}/join?token=${inviteToken}`,
-        expiresAt: inviteExpires,
+// List invitations
+router.get(
+  "/invitations",
+  [authorize("Admin", "Manager"), query("status").optional().isIn(["pending", "accepted", "revoked", "expired"])],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      await Invitation.expireStale({ organization: req.organizationId })
+
+      const filter = { organization: req.organizationId }
+      if (req.query.status) filter.status = req.query.status
+
+      const invitations = await Invitation.find(filter)
+        .populate("invitedBy", "name email")
+        .populate("acceptedBy", "name email")
+        .sort({ createdAt: -1 })
+
+      res.json(invitations)
+    } catch (error) {
+      console.error("Get invitations error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Resend an invitation with a new link
+router.post(
+  "/invitations/:invitationId/resend",
+  [authorize("Admin", "Manager"), param("invitationId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const invitation = await Invitation.findOne({
+        _id: req.params.invitationId,
+        organization: req.organizationId,
       })
+
+      if (!invitation) {
+        return res.status(404).json({ message: "Invitation not found" })
+      }
+
+      if (!["pending", "expired"].includes(invitation.status)) {
+        return res.status(400).json({ message: `Cannot resend an ${invitation.status} invitation` })
+      }
+
+      const before = { status: invitation.status, expiresAt: invitation.expiresAt }
+      await sendInvitation(invitation, req)
+      await recordAudit(req, {
+        action: "invitation.resent",
+        target: invitationTarget(invitation),
+        before,
+        after: { status: invitation.status, expiresAt: invitation.expiresAt },
+      })
+
+      res.json({ message: "Invitation resent successfully", invitation })
     } catch (error) {
-      console.error("Create invite error:", error)
+      console.error("Resend invite error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Revoke an invitation
+router.delete(
+  "/invitations/:invitationId",
+  [authorize("Admin", "Manager"), param("invitationId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const invitation = await Invitation.findOne({
+        _id: req.params.invitationId,
+        organization: req.organizationId,
+      })
+
+      if (!invitation) {
+        return res.status(404).json({ message: "Invitation not found" })
+      }
+
+      if (invitation.status === "accepted") {
+        return res.status(400).json({ message: "Cannot revoke an accepted invitation" })
+      }
+
+      const previousStatus = invitation.status
+      invitation.status = "revoked"
+      invitation.revokedAt = new Date()
+      await invitation.save()
+      await recordAudit(req, {
+        action: "invitation.revoked",
+        target: invitationTarget(invitation),
+        before: { status: previousStatus },
+        after: { status: invitation.status },
+      })
+
+      res.json({ message: "Invitation revoked successfully", invitation })
+    } catch (error) {
+      console.error("Revoke invite error:", error)
       res.status(500).json({ message: "Server error" })
     }
   },
@@ -141,7 +932,7 @@ router.post(
 // Update member role
 router.put(
   "/members/:userId/role",
-  [authorize("Admin"), body("role").isIn(["Admin", "Manager", "Member"])],
+  [authorize("Admin"), param("userId").isMongoId(), body("role").isIn(["Admin", "Manager", "Member"])],
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -157,20 +948,30 @@ router.put(
         return res.status(400).json({ message: "Cannot change your own role" })
       }
 
-      const user = await User.findOne({
-        _id: userId,
-        organization: req.organizationId,
-        isActive: true,
-      })
+      const membership = await Membership.findActiveMember(userId, req.organizationId)
 
-      if (!user) {
+      if (!membership) {
         return res.status(404).json({ message: "User not found" })
       }
 
-      user.role = role
-      await user.save()
+      const previousRole = membership.role
+      membership.role = role
+      await membership.save()
+      await recordAudit(req, {
+        action: "member.role_changed",
+        target: { type: "user", id: membership.user._id, label: membership.user.email },
+        before: { role: previousRole },
+        after: { role },
+      })
+      await publish("member.role_changed", {
+        organization: req.organizationId,
+        actor: req.user,
+        user: membership.user,
+        from: previousRole,
+        to: role,
+      })
 
-      res.json({ message: "User role updated successfully", user })
+      res.json({ message: "User role updated successfully", user: serializeMember(membership) })
     } catch (error) {
       console.error("Update member role error:", error)
       res.status(500).json({ message: "Server error" })
@@ -179,8 +980,13 @@ router.put(
 )
 
 // Remove member
-router.delete("/members/:userId", authorize("Admin"), async (req, res) => {
+router.delete("/members/:userId", [authorize("Admin"), param("userId").isMongoId()], async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
     const { userId } = req.params
 
     // Can't remove yourself
@@ -188,17 +994,47 @@ router.delete("/members/:userId", authorize("Admin"), async (req, res) => {
       return res.status(400).json({ message: "Cannot remove yourself" })
     }
 
-    const user = await User.findOne({
-      _id: userId,
-      organization: req.organizationId,
-    })
+    const membership = await Membership.findForUser(userId, req.organizationId)
 
-    if (!user) {
+    if (!membership || !membership.isActive) {
       return res.status(404).json({ message: "User not found" })
     }
 
-    user.isActive = false
-    await user.save()
+    membership.isActive = false
+    await membership.save()
+
+    // Drop the user from the organization's projects
+    await Project.updateMany({ organization: req.organizationId, members: userId }, { $pull: { members: userId } })
+    await Project.updateMany(
+      { organization: req.organizationId, defaultAssignee: userId },
+      { $unset: { defaultAssignee: 1 } },
+    )
+
+    const removedUser = await User.findById(userId).select("name email")
+    await recordAudit(req, {
+      action: "member.removed",
+      target: { type: "user", id: userId, label: removedUser?.email },
+      before: { role: membership.role, isActive: true },
+      after: { isActive: false },
+    })
+    await publish("member.removed", {
+      organization: req.organizationId,
+      actor: req.user,
+      user: removedUser,
+      role: membership.role,
+    })
+
+    // Access to this organization ends with the membership. Users left without
+    // any organization are signed out everywhere.
+    const remaining = await Membership.findOne({ user: userId, isActive: true })
+    if (remaining) {
+      await User.updateOne(
+        { _id: userId, organization: req.organizationId },
+        { $set: { organization: remaining.organization, role: remaining.role } },
+      )
+    } else {
+      await revokeAllSessions(userId)
+    }
 
     res.json({ message: "User removed successfully" })
   } catch (error) {
@@ -207,4 +1043,112 @@ router.delete("/members/:userId", authorize("Admin"), async (req, res) => {
   }
 })
 
+const AUDIT_CSV_COLUMNS = [
+  "createdAt",
+  "action",
+  "actorId",
+  "actorName",
+  "actorEmail",
+  "targetType",
+  "targetId",
+  "targetLabel",
+  "ip",
+  "userAgent",
+  "before",
+  "after",
+]
+
+const auditCsvRow = (entry) =>
+  toCsvRow([
+    entry.createdAt,
+    entry.action,
+    entry.actor?._id,
+    entry.actor?.name,
+    entry.actor?.email,
+    entry.target?.type,
+    entry.target?.id,
+    entry.target?.label,
+    entry.ip,
+    entry.userAgent,
+    entry.before,
+    entry.after,
+  ])
+
+// Query the audit log; format=csv or format=ndjson streams every matching entry
+router.get(
+  "/audit-log",
+  [
+    authorize("Admin"),
+    query("actor").optional().isMongoId(),
+    query("action").optional().isString(),
+    query("targetType").optional().isString(),
+    query("targetId").optional().isMongoId(),
+    query("from").optional().isISO8601(),
+    query("to").optional().isISO8601(),
+    query("format").optional().isIn(["json", "csv", "ndjson"]),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const filter = { organization: req.organizationId }
+      if (req.query.actor) filter.actor = req.query.actor
+      if (req.query.action) filter.action = { $in: splitList(req.query.action) }
+      if (req.query.targetType) filter["target.type"] = req.query.targetType
+      if (req.query.targetId) filter["target.id"] = req.query.targetId
+      if (req.query.from || req.query.to) {
+        filter.createdAt = {}
+        if (req.query.from) filter.createdAt.$gte = new Date(req.query.from)
+        if (req.query.to) filter.createdAt.$lte = new Date(req.query.to)
+      }
+
+      const format = req.query.format || "json"
+
+      if (format !== "json") {
+        const stamp = new Date().toISOString().slice(0, 10)
+        res.attachment(`audit-log-${stamp}.${format}`)
+        res.type(format === "csv" ? "text/csv" : "application/x-ndjson")
+        if (format === "csv") res.write(toCsvRow(AUDIT_CSV_COLUMNS))
+
+        const cursor = AuditLog.find(filter).populate("actor", "name email").sort({ createdAt: -1 }).cursor()
+        for await (const entry of cursor) {
+          res.write(format === "csv" ? auditCsvRow(entry) : JSON.stringify(entry) + "\n")
+        }
+        return res.end()
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 50
+      const skip = (page - 1) * limit
+
+      const entries = await AuditLog.find(filter)
+        .populate("actor", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+
+      const total = await AuditLog.countDocuments(filter)
+
+      res.json({
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      console.error("Get audit log error:", error)
+      if (res.headersSent) return res.destroy(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
 module.exports = router
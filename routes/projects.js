@@ -0,0 +1,339 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const Project = require("../models/Project")
+const Membership = require("../models/Membership")
+const Task = require("../models/Task")
+const { auth, authorize } = require("../middleware/auth")
+const { tenantIsolation } = require("../middleware/tenant")
+const { recordAudit } = require("../services/audit")
+
+const router = express.Router()
+
+// Apply authentication and tenant isolation to all routes
+router.use(auth)
+router.use(tenantIsolation)
+
+const projectTarget = (project) => ({ type: "project", id: project._id, label: project.name })
+
+// Audited project fields
+const projectSnapshot = (project) => {
+  const { name, description, members, defaultAssignee, archived } = project.toObject({ depopulate: true })
+  return { name, description, members, defaultAssignee, archived }
+}
+
+const populateProject = (project) =>
+  project.populate([
+    { path: "members", select: "name email" },
+    { path: "defaultAssignee", select: "name email" },
+    { path: "createdBy", select: "name email" },
+  ])
+
+// Members of the organization among the given user ids; returns the ids that are not
+const findNonMembers = async (userIds, organizationId) => {
+  const memberships = await Membership.find({
+    user: { $in: userIds },
+    organization: organizationId,
+    isActive: true,
+  }).select("user")
+  const memberIds = memberships.map((membership) => membership.user.toString())
+  return userIds.filter((id) => !memberIds.includes(String(id)))
+}
+
+// Members only see the projects they belong to
+const findVisibleProject = (req, projectId) => {
+  const filter = { _id: projectId, organization: req.organizationId }
+  if (req.membership.role === "Member") filter.members = req.user._id
+  return Project.findOne(filter)
+}
+
+const projectValidators = (optional) => {
+  const name = body("name")
+  return [
+    (optional ? name.optional() : name).isString().trim().isLength({ min: 1, max: 100 }),
+    body("description").optional().isLength({ max: 1000 }),
+    body("members").optional().isArray({ max: 500 }),
+    body("members.*").isMongoId(),
+    body("defaultAssignee").optional({ values: "null" }).isMongoId(),
+  ]
+}
+
+// Check members and default assignee; sends a 400 and returns false when they are invalid
+const checkProjectPeople = async (req, res, members) => {
+  const { defaultAssignee } = req.body
+  const people = [...new Set([...(members || []), ...(defaultAssignee ? [defaultAssignee] : [])].map(String))]
+
+  const nonMembers = await findNonMembers(people, req.organizationId)
+  if (nonMembers.length > 0) {
+    res.status(400).json({ message: `Not members of the organization: ${nonMembers.join(", ")}` })
+    return false
+  }
+  return true
+}
+
+const isDuplicateKey = (error) => error.code === 11000
+
+// List projects; archived=true|false|all, open projects by default
+router.get(
+  "/",
+  [query("archived").optional().isIn(["true", "false", "all"])],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const filter = { organization: req.organizationId }
+      const archived = req.query.archived || "false"
+      if (archived !== "all") filter.archived = archived === "true"
+      if (req.membership.role === "Member") filter.members = req.user._id
+
+      const projects = await Project.find(filter)
+        .populate("defaultAssignee", "name email")
+        .sort({ name: 1 })
+        .collation({ locale: "en", strength: 2 })
+
+      const counts = await Task.aggregate([
+        { $match: { organization: req.organizationId, project: { $in: projects.map((project) => project._id) } } },
+        { $group: { _id: "$project", count: { $sum: 1 } } },
+      ])
+      const taskCounts = Object.fromEntries(counts.map(({ _id, count }) => [_id.toString(), count]))
+
+      res.json(
+        projects.map((project) => ({ ...project.toJSON(), taskCount: taskCounts[project._id.toString()] || 0 })),
+      )
+    } catch (error) {
+      console.error("Get projects error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Get project by ID
+router.get("/:id", [param("id").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const project = await findVisibleProject(req, req.params.id)
+    if (!project) {
+      return res.status(404).json({ message: "Project not found" })
+    }
+
+    await populateProject(project)
+    res.json(project)
+  } catch (error) {
+    console.error("Get project error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Create project
+router.post("/", [authorize("Admin", "Manager"), ...projectValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const { name, description, defaultAssignee } = req.body
+    const members = [...new Set(req.body.members || [])]
+
+    if (!(await checkProjectPeople(req, res, members))) return
+
+    const project = new Project({
+      name,
+      description,
+      members,
+      defaultAssignee: defaultAssignee || undefined,
+      organization: req.organizationId,
+      createdBy: req.user._id,
+    })
+
+    await project.save()
+    await recordAudit(req, {
+      action: "project.created",
+      target: projectTarget(project),
+      after: projectSnapshot(project),
+    })
+    await populateProject(project)
+
+    res.status(201).json(project)
+  } catch (error) {
+    if (isDuplicateKey(error)) {
+      return res.status(400).json({ message: "A project with this name already exists" })
+    }
+    console.error("Create project error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Update project, including archiving and unarchiving it
+router.put(
+  "/:id",
+  [
+    authorize("Admin", "Manager"),
+    param("id").isMongoId(),
+    ...projectValidators(true),
+    body("archived").optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const project = await Project.findOne({ _id: req.params.id, organization: req.organizationId })
+      if (!project) {
+        return res.status(404).json({ message: "Project not found" })
+      }
+
+      const members = req.body.members ? [...new Set(req.body.members)] : undefined
+      if (!(await checkProjectPeople(req, res, members))) return
+
+      const before = projectSnapshot(project)
+      const { name, description, defaultAssignee, archived } = req.body
+      if (name) project.name = name
+      if (description !== undefined) project.description = description
+      if (members) project.members = members
+      if (defaultAssignee !== undefined) project.defaultAssignee = defaultAssignee || undefined
+      if (archived !== undefined) project.archived = archived
+
+      await project.save()
+      let action = "project.updated"
+      if (archived !== undefined && archived !== before.archived) {
+        action = archived ? "project.archived" : "project.unarchived"
+      }
+      await recordAudit(req, {
+        action,
+        target: projectTarget(project),
+        before,
+        after: projectSnapshot(project),
+      })
+      await populateProject(project)
+
+      res.json(project)
+    } catch (error) {
+      if (isDuplicateKey(error)) {
+        return res.status(400).json({ message: "A project with this name already exists" })
+      }
+      console.error("Update project error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Add a member to the project
+router.post(
+  "/:id/members",
+  [authorize("Admin", "Manager"), param("id").isMongoId(), body("userId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { userId } = req.body
+      const member = await Membership.findActiveMember(userId, req.organizationId)
+      if (!member) {
+        return res.status(400).json({ message: "User is not a member of this organization" })
+      }
+
+      const project = await Project.findOneAndUpdate(
+        { _id: req.params.id, organization: req.organizationId },
+        { $addToSet: { members: userId } },
+        { new: true },
+      )
+      if (!project) {
+        return res.status(404).json({ message: "Project not found" })
+      }
+
+      await recordAudit(req, {
+        action: "project.member_added",
+        target: projectTarget(project),
+        after: { member: userId },
+      })
+      await populateProject(project)
+
+      res.json(project)
+    } catch (error) {
+      console.error("Add project member error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Remove a member from the project
+router.delete(
+  "/:id/members/:userId",
+  [authorize("Admin", "Manager"), param("id").isMongoId(), param("userId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const project = await Project.findOneAndUpdate(
+        { _id: req.params.id, organization: req.organizationId, members: req.params.userId },
+        { $pull: { members: req.params.userId } },
+        { new: true },
+      )
+      if (!project) {
+        return res.status(404).json({ message: "Project member not found" })
+      }
+
+      await recordAudit(req, {
+        action: "project.member_removed",
+        target: projectTarget(project),
+        before: { member: req.params.userId },
+      })
+      await populateProject(project)
+
+      res.json(project)
+    } catch (error) {
+      console.error("Remove project member error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Delete a project that has no tasks; archive it otherwise
+router.delete("/:id", [authorize("Admin"), param("id").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const project = await Project.findOne({ _id: req.params.id, organization: req.organizationId })
+    if (!project) {
+      return res.status(404).json({ message: "Project not found" })
+    }
+
+    const taskCount = await Task.countDocuments({ organization: req.organizationId, project: project._id })
+    if (taskCount > 0) {
+      return res
+        .status(400)
+        .json({ message: `Project has ${taskCount} task(s); move them or archive the project instead` })
+    }
+
+    await project.deleteOne()
+    await recordAudit(req, {
+      action: "project.deleted",
+      target: projectTarget(project),
+      before: projectSnapshot(project),
+    })
+
+    res.json({ message: "Project deleted successfully" })
+  } catch (error) {
+    console.error("Delete project error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+module.exports = router
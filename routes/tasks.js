@@ -1,9 +1,58 @@
 const express = require("express")
-const { body, query, validationResult } = require("express-validator")
+const crypto = require("crypto")
+const multer = require("multer")
+const { body, param, query, validationResult } = require("express-validator")
 const Task = require("../models/Task")
 const User = require("../models/User")
+const Membership = require("../models/Membership")
+const Project = require("../models/Project")
 const { auth, authorize } = require("../middleware/auth")
 const { tenantIsolation } = require("../middleware/tenant")
+const { getStorage, removeStoredFiles, createMulterStorage } = require("../services/storage")
+const { highlightTask } = require("../utils/search")
+const { parseSort, isValidSort, encodeCursor, decodeCursor, buildCursorFilter, sortSpec } = require("../utils/pagination")
+const {
+  TASK_PRIORITIES,
+  taskFilterValidators,
+  visibilityCondition,
+  canViewTask,
+  buildTaskFilter,
+  splitList,
+} = require("../utils/taskFilters")
+const { getWorkflow } = require("../utils/workflow")
+const {
+  getCategories,
+  resolveCustomFields,
+  missingRequiredFields,
+  unknownLabels,
+  customFieldValues,
+} = require("../utils/taskFields")
+const TaskActivity = require("../models/TaskActivity")
+const { snapshotTask, diffSnapshots, recordTaskCreated, recordTaskUpdated } = require("../services/activity")
+const { publish } = require("../services/events")
+const { recordAudit } = require("../services/audit")
+const { publishTaskCreated, publishTaskUpdated } = require("../services/taskEvents")
+const { checkParent, checkBlockers, loadSubtree, loadDependencyGraph } = require("../services/taskRelations")
+const { startSeries, updateFutureOccurrences } = require("../services/recurrence")
+const { validateRecurrence } = require("../utils/recurrence")
+const {
+  checkUpdatePermission,
+  checkStatusChange,
+  sendProblem,
+  deleteTask,
+  restoreTask,
+  purgeTask,
+} = require("../services/taskOperations")
+const {
+  MAX_IMPORT_ROWS,
+  exportColumns,
+  taskCsvRow,
+  readImportFile,
+  resolveImportMapping,
+  loadImportContext,
+  buildImportedTask,
+} = require("../services/taskTransfer")
+const { toCsvRow } = require("../utils/csv")
 
 const router = express.Router()
 
@@ -11,16 +60,75 @@ const router = express.Router()
 router.use(auth)
 router.use(tenantIsolation)
 
-// Get tasks with filtering and pagination
+// Matches "@jane@example.com" style mentions in comment text
+const MENTION_PATTERN = /@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g
+
+// Resolve mentioned emails to active members of the organization
+const resolveMentions = async (text, organizationId) => {
+  const emails = [...new Set([...text.matchAll(MENTION_PATTERN)].map((match) => match[1].toLowerCase()))]
+  if (emails.length === 0) return []
+
+  const users = await User.find({ email: { $in: emails }, isActive: true }).select("_id")
+  const memberships = await Membership.find({
+    user: { $in: users.map((user) => user._id) },
+    organization: organizationId,
+    isActive: true,
+  }).select("user")
+
+  return memberships.map((membership) => membership.user)
+}
+
+// Attachments are stored under <organization>/<task>/<random name>
+const attachmentStorage = createMulterStorage(
+  (req) => `${req.organizationId}/${req.params.id}/${crypto.randomBytes(16).toString("hex")}`,
+)
+
+const isMimeTypeAllowed = (mimeType, allowedMimeTypes = []) => {
+  if (allowedMimeTypes.length === 0) return true
+
+  return allowedMimeTypes.some((allowed) =>
+    allowed.endsWith("/*") ? mimeType.startsWith(allowed.slice(0, -1)) : mimeType === allowed,
+  )
+}
+
+// Files of trashed tasks stay stored until they are purged, so they still count
+const getAttachmentUsage = async (organizationId) => {
+  const [usage] = await Task.aggregate([
+    { $match: { organization: organizationId } },
+    { $unwind: "$attachments" },
+    { $group: { _id: null, bytes: { $sum: "$attachments.size" } } },
+  ]).option({ withDeleted: true })
+  return usage ? usage.bytes : 0
+}
+
+const runUpload = (upload, req, res) =>
+  new Promise((resolve, reject) => {
+    upload(req, res, (error) => (error ? reject(error) : resolve()))
+  })
+
+const populateComments = (task) =>
+  task.populate([
+    { path: "comments.user", select: "name email" },
+    { path: "comments.mentions", select: "name email" },
+    { path: "comments.editedBy", select: "name email" },
+  ])
+
+const sortValidator = query("sort")
+  .optional()
+  .custom(isValidSort)
+  .withMessage("sort must be one of createdAt, updatedAt, dueDate, priority, title, optionally prefixed with -")
+
+// Get tasks with filtering and pagination.
+// Page mode (?page=&limit=) is the default; passing ?cursor= (empty for the first page)
+// switches to cursor mode, which returns nextCursor instead of page counts.
 router.get(
   "/",
   [
     query("page").optional().isInt({ min: 1 }),
     query("limit").optional().isInt({ min: 1, max: 100 }),
-    query("status").optional().isIn(["Todo", "In Progress", "Completed", "Expired"]),
-    query("priority").optional().isIn(["Low", "Medium", "High"]),
-    query("category").optional().isIn(["Bug", "Feature", "Improvement"]),
-    query("assignedTo").optional().isMongoId(),
+    query("cursor").optional().isString(),
+    sortValidator,
+    ...taskFilterValidators,
   ],
   async (req, res) => {
     try {
@@ -29,77 +137,880 @@ router.get(
         return res.status(400).json({ errors: errors.array() })
       }
 
-      const page = Number.parseInt(req.query.page) || 1
-      const limit = Number.parseInt(req.query.limit) || 10
-      const skip = (page - 1) * limit
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 10
+      const skip = (page - 1) * limit
+      const useCursor = req.query.cursor !== undefined
+
+      const filter = buildTaskFilter(req)
+
+      // Keyword search ranks results by relevance unless an explicit sort is given
+      let projection
+      const sort = parseSort(req.query.sort)
+      let sortBy = sortSpec(sort)
+      if (req.query.q) {
+        projection = { score: { $meta: "textScore" } }
+        if (!req.query.sort) sortBy = { score: { $meta: "textScore" }, ...sortBy }
+      }
+
+      if (useCursor && req.query.q && !req.query.sort) {
+        return res.status(400).json({ message: "Cursor pagination requires an explicit sort when searching" })
+      }
+
+      if (useCursor && req.query.cursor) {
+        const position = decodeCursor(req.query.cursor, sort)
+        if (!position) {
+          return res.status(400).json({ message: "Invalid cursor" })
+        }
+        filter.$and = [...(filter.$and || []), buildCursorFilter(sort, position)]
+      }
+
+      let tasksQuery = Task.find(filter, projection)
+        .populate("assignedTo", "name email")
+        .populate("createdBy", "name email")
+        .sort(sortBy)
+
+      tasksQuery = useCursor ? tasksQuery.limit(limit + 1) : tasksQuery.skip(skip).limit(limit)
+      const tasks = await tasksQuery
+
+      let pagination
+      if (useCursor) {
+        const hasMore = tasks.length > limit
+        if (hasMore) tasks.pop()
+
+        pagination = {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(sort, tasks[tasks.length - 1]) : null,
+        }
+      } else {
+        const total = await Task.countDocuments(filter)
+
+        pagination = {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        }
+      }
+
+      res.json({
+        tasks: req.query.q
+          ? tasks.map((task) => ({ ...task.toJSON(), highlights: highlightTask(task, req.query.q) }))
+          : tasks,
+        pagination,
+      })
+    } catch (error) {
+      console.error("Get tasks error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Organization-wide activity feed
+router.get(
+  "/activity",
+  [
+    authorize("Admin", "Manager"),
+    query("user").optional().isMongoId(),
+    query("type").optional().isIn(["created", "updated", "status_changed", "assigned", "deleted", "restored"]),
+    query("from").optional().isISO8601(),
+    query("to").optional().isISO8601(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 20
+      const skip = (page - 1) * limit
+
+      const filter = { organization: req.organizationId }
+      if (req.query.user) filter.actor = req.query.user
+      if (req.query.type) filter.type = req.query.type
+      if (req.query.from || req.query.to) {
+        filter.createdAt = {}
+        if (req.query.from) filter.createdAt.$gte = new Date(req.query.from)
+        if (req.query.to) filter.createdAt.$lte = new Date(req.query.to)
+      }
+
+      const activity = await TaskActivity.find(filter)
+        .populate("actor", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+
+      const total = await TaskActivity.countDocuments(filter)
+
+      res.json({
+        activity,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      console.error("Get activity feed error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Export the tasks matching the list filters; format=csv (default) or ndjson streams every task
+router.get(
+  "/export",
+  [query("format").optional().isIn(["csv", "ndjson"]), sortValidator, ...taskFilterValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const format = req.query.format || "csv"
+      const stamp = new Date().toISOString().slice(0, 10)
+      res.attachment(`tasks-${stamp}.${format}`)
+      res.type(format === "csv" ? "text/csv" : "application/x-ndjson")
+      if (format === "csv") res.write(toCsvRow(exportColumns(req.organization)))
+
+      const cursor = Task.find(buildTaskFilter(req))
+        .populate("assignedTo", "name email")
+        .populate("createdBy", "name email")
+        .populate("project", "name")
+        .sort(sortSpec(parseSort(req.query.sort)))
+        .cursor()
+      for await (const task of cursor) {
+        res.write(format === "csv" ? taskCsvRow(req.organization, task) : JSON.stringify(task) + "\n")
+      }
+      res.end()
+    } catch (error) {
+      console.error("Export tasks error:", error)
+      if (res.headersSent) return res.destroy(error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+const DAY = 24 * 60 * 60 * 1000
+
+const findTrashedTask = (req) =>
+  Task.findOne({ _id: req.params.id, organization: req.organizationId, deletedAt: { $ne: null } })
+
+// Tasks in the trash, most recently deleted first, with the date each one will be purged
+router.get(
+  "/trash",
+  [
+    authorize("Admin", "Manager"),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 20
+      const skip = (page - 1) * limit
+
+      const filter = { organization: req.organizationId, deletedAt: { $ne: null } }
+      const tasks = await Task.find(filter)
+        .select("-comments")
+        .populate("assignedTo", "name email")
+        .populate("deletedBy", "name email")
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+
+      const total = await Task.countDocuments(filter)
+      const { trashRetentionDays } = req.organization.settings
+
+      res.json({
+        tasks: tasks.map((task) => ({
+          ...task.toJSON(),
+          purgeAt: new Date(task.deletedAt.getTime() + trashRetentionDays * DAY),
+        })),
+        retentionDays: trashRetentionDays,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      console.error("Get trash error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Put a trashed task back. Fields the organization no longer allows are reset.
+router.post("/trash/:id/restore", [authorize("Admin", "Manager"), param("id").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const task = await findTrashedTask(req)
+    if (!task) {
+      return res.status(404).json({ message: "Task not found in trash" })
+    }
+
+    await restoreTask(task, req.organization, req.user)
+    await task.populate("assignedTo", "name email")
+    await task.populate("createdBy", "name email")
+
+    res.json(task)
+  } catch (error) {
+    console.error("Restore task error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Permanently delete one trashed task
+router.delete("/trash/:id", [authorize("Admin"), param("id").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const task = await findTrashedTask(req)
+    if (!task) {
+      return res.status(404).json({ message: "Task not found in trash" })
+    }
+
+    await purgeTask(task)
+    await recordAudit(req, {
+      action: "task.purged",
+      target: { type: "task", id: task._id, label: task.title },
+    })
+
+    res.json({ message: "Task permanently deleted" })
+  } catch (error) {
+    console.error("Purge task error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Permanently delete everything in the trash
+router.delete("/trash", authorize("Admin"), async (req, res) => {
+  try {
+    let purged = 0
+    const cursor = Task.find({ organization: req.organizationId, deletedAt: { $ne: null } }).cursor()
+    for await (const task of cursor) {
+      await purgeTask(task)
+      purged += 1
+    }
+
+    await recordAudit(req, {
+      action: "trash.emptied",
+      target: { type: "organization", id: req.organizationId, label: req.organization.name },
+      after: { purged },
+    })
+
+    res.json({ message: "Trash emptied", purged })
+  } catch (error) {
+    console.error("Empty trash error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+const TASK_INCLUDES = ["subtasks", "dependencies"]
+
+// Get task by ID; include=subtasks,dependencies adds its subtree and dependency graph
+router.get(
+  "/:id",
+  [
+    query("include")
+      .optional()
+      .custom((value) => {
+        const unknown = splitList(value).filter((item) => !TASK_INCLUDES.includes(item))
+        if (unknown.length > 0) {
+          throw new Error(`Unknown include value(s): ${unknown.join(", ")}. Expected: ${TASK_INCLUDES.join(", ")}`)
+        }
+        return true
+      }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const task = await Task.findOne({
+        _id: req.params.id,
+        organization: req.organizationId,
+      })
+        .populate("assignedTo", "name email")
+        .populate("createdBy", "name email")
+        .populate("comments.user", "name email")
+        .populate("series", "recurrence occurrenceCount endedAt")
+
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" })
+      }
+
+      if (!canViewTask(req, task)) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      const include = req.query.include ? splitList(req.query.include) : []
+      if (include.length === 0) {
+        return res.json(task)
+      }
+
+      // Related tasks the user cannot see are left out
+      const canView = (other) => canViewTask(req, other)
+      const result = task.toJSON()
+      if (include.includes("subtasks")) result.subtasks = await loadSubtree(task, canView)
+      if (include.includes("dependencies")) result.dependencies = await loadDependencyGraph(task, canView)
+
+      res.json(result)
+    } catch (error) {
+      console.error("Get task error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Get task change history
+router.get(
+  "/:id/activity",
+  [
+    param("id").isMongoId(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const task = await Task.findOne({
+        _id: req.params.id,
+        organization: req.organizationId,
+      }).select("assignedTo createdBy project")
+
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" })
+      }
+
+      if (!canViewTask(req, task)) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 20
+      const skip = (page - 1) * limit
+
+      const filter = { task: task._id, organization: req.organizationId }
+      const activity = await TaskActivity.find(filter)
+        .populate("actor", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+
+      const total = await TaskActivity.countDocuments(filter)
+
+      res.json({
+        activity,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      console.error("Get task activity error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Get task comments
+router.get(
+  "/:id/comments",
+  [
+    param("id").isMongoId(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 20
+      const skip = (page - 1) * limit
+
+      // Only the requested page of comments is loaded and populated
+      const task = await Task.findOne({
+        _id: req.params.id,
+        organization: req.organizationId,
+      })
+        .select("assignedTo createdBy project")
+        .slice("comments", [skip, limit])
+
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" })
+      }
+
+      if (!canViewTask(req, task)) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      const [{ total }] = await Task.aggregate([
+        { $match: { _id: task._id } },
+        { $project: { total: { $size: "$comments" } } },
+      ])
+
+      await populateComments(task)
+
+      res.json({
+        comments: task.comments,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      console.error("Get comments error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Add comment
+router.post(
+  "/:id/comments",
+  [param("id").isMongoId(), body("text").trim().isLength({ min: 1, max: 1000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const task = await Task.findOne({
+        _id: req.params.id,
+        organization: req.organizationId,
+      })
+
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" })
+      }
+
+      if (!canViewTask(req, task)) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      const { text } = req.body
+      const mentions = await resolveMentions(text, req.organizationId)
+
+      task.comments.push({ user: req.user._id, text, mentions })
+      const comment = task.comments[task.comments.length - 1]
+
+      await task.save()
+      await publish("task.commented", { organization: req.organizationId, actor: req.user, task, comment })
+      await populateComments(task)
+
+      res.status(201).json(task.comments.id(comment._id))
+    } catch (error) {
+      console.error("Add comment error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Edit comment (author or Admin; Admins moderate by editing or deleting any comment)
+router.put(
+  "/:id/comments/:commentId",
+  [param("id").isMongoId(), param("commentId").isMongoId(), body("text").trim().isLength({ min: 1, max: 1000 })],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const task = await Task.findOne({
+        _id: req.params.id,
+        organization: req.organizationId,
+      })
+
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" })
+      }
+
+      if (!canViewTask(req, task)) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      const comment = task.comments.id(req.params.commentId)
+      if (!comment) {
+        return res.status(404).json({ message: "Comment not found" })
+      }
+
+      if (!comment.user.equals(req.user._id) && req.membership.role !== "Admin") {
+        return res.status(403).json({ message: "Only the author or an Admin can edit this comment" })
+      }
+
+      comment.text = req.body.text
+      comment.mentions = await resolveMentions(req.body.text, req.organizationId)
+      comment.editedAt = new Date()
+      comment.editedBy = req.user._id
+
+      await task.save()
+      await populateComments(task)
+
+      res.json(task.comments.id(comment._id))
+    } catch (error) {
+      console.error("Edit comment error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Delete comment (author or Admin)
+router.delete(
+  "/:id/comments/:commentId",
+  [param("id").isMongoId(), param("commentId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const task = await Task.findOne({
+        _id: req.params.id,
+        organization: req.organizationId,
+      })
 
-      // Build filter
-      const filter = { organization: req.organizationId }
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" })
+      }
 
-      if (req.query.status) filter.status = req.query.status
-      if (req.query.priority) filter.priority = req.query.priority
-      if (req.query.category) filter.category = req.query.category
-      if (req.query.assignedTo) filter.assignedTo = req.query.assignedTo
+      if (!canViewTask(req, task)) {
+        return res.status(403).json({ message: "Access denied" })
+      }
 
-      // For members, only show tasks assigned to them or created by them
-      if (req.user.role === "Member") {
-        filter.$or = [{ assignedTo: req.user._id }, { createdBy: req.user._id }]
+      const comment = task.comments.id(req.params.commentId)
+      if (!comment) {
+        return res.status(404).json({ message: "Comment not found" })
       }
 
-      const tasks = await Task.find(filter)
-        .populate("assignedTo", "name email")
-        .populate("createdBy", "name email")
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
+      if (!comment.user.equals(req.user._id) && req.membership.role !== "Admin") {
+        return res.status(403).json({ message: "Access denied" })
+      }
 
-      const total = await Task.countDocuments(filter)
+      task.comments.pull(comment._id)
+      await task.save()
 
-      res.json({
-        tasks,
-        pagination: {
-          page,
-          limit,
-          total,
-          pages: Math.ceil(total / limit),
-        },
-      })
+      res.json({ message: "Comment deleted successfully" })
     } catch (error) {
-      console.error("Get tasks error:", error)
+      console.error("Delete comment error:", error)
       res.status(500).json({ message: "Server error" })
     }
   },
 )
 
-// Get task by ID
-router.get("/:id", async (req, res) => {
+// Upload attachment
+router.post("/:id/attachments", [param("id").isMongoId()], async (req, res) => {
   try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
     const task = await Task.findOne({
       _id: req.params.id,
       organization: req.organizationId,
     })
-      .populate("assignedTo", "name email")
-      .populate("createdBy", "name email")
-      .populate("comments.user", "name email")
 
     if (!task) {
       return res.status(404).json({ message: "Task not found" })
     }
 
-    // Members can only view tasks assigned to them or created by them
-    if (req.user.role === "Member") {
-      if (!task.assignedTo?.equals(req.user._id) && !task.createdBy.equals(req.user._id)) {
-        return res.status(403).json({ message: "Access denied" })
+    if (!canViewTask(req, task)) {
+      return res.status(403).json({ message: "Access denied" })
+    }
+
+    const { settings } = req.organization
+    const remainingQuota = settings.attachmentQuota - (await getAttachmentUsage(req.organizationId))
+
+    if (remainingQuota <= 0) {
+      return res.status(413).json({ message: "Organization attachment quota exceeded" })
+    }
+
+    let rejectedMimeType
+    const upload = multer({
+      storage: attachmentStorage,
+      limits: { files: 1, fileSize: Math.min(settings.maxAttachmentSize, remainingQuota) },
+      fileFilter: (req, file, cb) => {
+        if (isMimeTypeAllowed(file.mimetype, settings.allowedMimeTypes)) return cb(null, true)
+        rejectedMimeType = file.mimetype
+        cb(null, false)
+      },
+    }).single("file")
+
+    try {
+      await runUpload(upload, req, res)
+    } catch (error) {
+      if (error instanceof multer.MulterError) {
+        const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400
+        return res.status(status).json({ message: error.message })
       }
+      throw error
     }
 
-    res.json(task)
+    if (rejectedMimeType) {
+      return res.status(415).json({ message: `File type ${rejectedMimeType} is not allowed` })
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: "No file uploaded" })
+    }
+
+    task.attachments.push({
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      uploadedBy: req.user._id,
+    })
+    const attachment = task.attachments[task.attachments.length - 1]
+
+    try {
+      await task.save()
+    } catch (error) {
+      await removeStoredFiles([attachment])
+      throw error
+    }
+
+    res.status(201).json(attachment)
   } catch (error) {
-    console.error("Get task error:", error)
+    console.error("Upload attachment error:", error)
     res.status(500).json({ message: "Server error" })
   }
 })
 
+// Download attachment
+router.get(
+  "/:id/attachments/:attachmentId",
+  [param("id").isMongoId(), param("attachmentId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const task = await Task.findOne({
+        _id: req.params.id,
+        organization: req.organizationId,
+      }).select("assignedTo createdBy project attachments")
+
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" })
+      }
+
+      if (!canViewTask(req, task)) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      const attachment = task.attachments.id(req.params.attachmentId)
+      if (!attachment) {
+        return res.status(404).json({ message: "Attachment not found" })
+      }
+
+      const stream = getStorage().createReadStream(attachment.filename)
+
+      stream.on("error", (error) => {
+        console.error("Download attachment error:", error)
+        if (!res.headersSent) {
+          return res.status(404).json({ message: "Attachment file not found" })
+        }
+        res.destroy(error)
+      })
+
+      stream.once("open", () => {
+        res.attachment(attachment.originalName)
+        res.type(attachment.mimeType || "application/octet-stream")
+        if (attachment.size !== undefined) res.set("Content-Length", String(attachment.size))
+      })
+
+      stream.pipe(res)
+    } catch (error) {
+      console.error("Download attachment error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Delete attachment (uploader, Admin or Manager)
+router.delete(
+  "/:id/attachments/:attachmentId",
+  [param("id").isMongoId(), param("attachmentId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const task = await Task.findOne({
+        _id: req.params.id,
+        organization: req.organizationId,
+      })
+
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" })
+      }
+
+      if (!canViewTask(req, task)) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      const attachment = task.attachments.id(req.params.attachmentId)
+      if (!attachment) {
+        return res.status(404).json({ message: "Attachment not found" })
+      }
+
+      if (req.membership.role === "Member" && !attachment.uploadedBy?.equals(req.user._id)) {
+        return res.status(403).json({ message: "Access denied" })
+      }
+
+      task.attachments.pull(attachment._id)
+      await task.save()
+      await removeStoredFiles([attachment])
+
+      res.json({ message: "Attachment deleted successfully" })
+    } catch (error) {
+      console.error("Delete attachment error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+const isCategory = (value, { req }) => {
+  const categories = getCategories(req.organization)
+  if (!categories.includes(value)) {
+    throw new Error(`category must be one of: ${categories.join(", ")}`)
+  }
+  return true
+}
+
+const labelAndFieldValidators = [
+  body("labels").optional().isArray({ max: 50 }),
+  body("labels.*").isMongoId(),
+  body("customFields").optional().isObject(),
+]
+
+const relationValidators = [
+  body("project").optional({ values: "null" }).isMongoId(),
+  body("parent").optional({ values: "null" }).isMongoId(),
+  body("blockedBy").optional().isArray({ max: 50 }),
+  body("blockedBy.*").isMongoId(),
+]
+
+// Open project of the organization that tasks can be added to; sends a 400 and returns null otherwise
+const findTaskProject = async (req, res, projectId) => {
+  const project = await Project.findOne({ _id: projectId, organization: req.organizationId })
+
+  if (!project) {
+    res.status(400).json({ message: "Invalid project" })
+    return null
+  }
+  if (project.archived) {
+    res.status(400).json({ message: "Tasks cannot be added to an archived project" })
+    return null
+  }
+  return project
+}
+
+// Edits and deletes of a recurring task apply to this occurrence or to all future ones
+const scopeValidator = query("scope").optional().isIn(["this", "future"])
+
+// Check a recurrence rule; sends a 400 and returns false when it is invalid
+const checkRecurrence = (res, recurrence, dueDate) => {
+  const problems = validateRecurrence(recurrence)
+  if (!dueDate) problems.push("Recurring tasks need a dueDate")
+
+  if (problems.length > 0) {
+    res.status(400).json({ message: "Invalid recurrence", errors: problems })
+    return false
+  }
+  return true
+}
+
+// Check the parent and blocking tasks; sends a 400 and returns false when they are invalid
+const checkTaskRelations = async (req, res, task) => {
+  const { parent, blockedBy } = req.body
+
+  const problem =
+    (parent && (await checkParent(task, parent, req.organizationId))) ||
+    (blockedBy?.length > 0 && (await checkBlockers(task, blockedBy, req.organizationId)))
+
+  if (problem) {
+    res.status(400).json({ message: problem })
+    return false
+  }
+  return true
+}
+
+// Check labels and custom field values against the organization's definitions.
+// Returns the custom field values to store, or sends a 400 and returns null.
+const resolveTaskFields = (req, res, task) => {
+  const { labels, customFields } = req.body
+
+  const unknown = labels ? unknownLabels(req.organization, labels) : []
+  if (unknown.length > 0) {
+    res.status(400).json({ message: `Unknown labels: ${unknown.join(", ")}` })
+    return null
+  }
+
+  const { values, problems } = resolveCustomFields(
+    req.organization,
+    customFields,
+    task ? customFieldValues(task) : {},
+  )
+  // Required fields are enforced on create, and on update when they are being cleared
+  const missing = missingRequiredFields(req.organization, values).filter(
+    (key) => !task || (customFields && key in customFields),
+  )
+  if (missing.length > 0) {
+    problems.push(`Missing required custom fields: ${missing.join(", ")}`)
+  }
+
+  if (problems.length > 0) {
+    res.status(400).json({ message: "Invalid custom fields", errors: problems })
+    return null
+  }
+  return values
+}
+
 // Create task
 router.post(
   "/",
@@ -107,10 +1018,13 @@ router.post(
     authorize("Admin", "Manager"),
     body("title").trim().isLength({ min: 1, max: 200 }),
     body("description").optional().isLength({ max: 2000 }),
-    body("category").isIn(["Bug", "Feature", "Improvement"]),
+    body("category").custom(isCategory),
     body("priority").optional().isIn(["Low", "Medium", "High"]),
     body("dueDate").optional().isISO8601(),
     body("assignedTo").optional().isMongoId(),
+    ...labelAndFieldValidators,
+    ...relationValidators,
+    body("recurrence").optional().isObject(),
   ],
   async (req, res) => {
     try {
@@ -119,17 +1033,28 @@ router.post(
         return res.status(400).json({ errors: errors.array() })
       }
 
-      const { title, description, category, priority, dueDate, assignedTo } = req.body
+      const { title, description, category, priority, dueDate, labels, parent, blockedBy, recurrence } = req.body
+      let { assignedTo } = req.body
+
+      const project = req.body.project && (await findTaskProject(req, res, req.body.project))
+      if (req.body.project && !project) return
+
+      // New project tasks without an assignee go to the project's default assignee, if still a member
+      if (!assignedTo && project?.defaultAssignee) {
+        const defaultMember = await Membership.findActiveMember(project.defaultAssignee, req.organizationId)
+        if (defaultMember) assignedTo = project.defaultAssignee
+      }
+
+      const customFields = resolveTaskFields(req, res)
+      if (!customFields) return
+      if (!(await checkTaskRelations(req, res))) return
+      if (recurrence && !checkRecurrence(res, recurrence, dueDate)) return
 
       // Validate assigned user belongs to same organization
       if (assignedTo) {
-        const assignedUser = await User.findOne({
-          _id: assignedTo,
-          organization: req.organizationId,
-          isActive: true,
-        })
+        const assignedMember = await Membership.findActiveMember(assignedTo, req.organizationId)
 
-        if (!assignedUser) {
+        if (!assignedMember) {
           return res.status(400).json({ message: "Invalid assigned user" })
         }
       }
@@ -138,14 +1063,23 @@ router.post(
         title,
         description,
         category,
+        status: getWorkflow(req.organization).initialStatus,
         priority: priority || "Medium",
         dueDate: dueDate ? new Date(dueDate) : undefined,
         assignedTo: assignedTo || undefined,
+        labels: labels ? [...new Set(labels)] : [],
+        project: project?._id,
+        parent: parent || undefined,
+        blockedBy: blockedBy ? [...new Set(blockedBy)] : [],
+        customFields: Object.keys(customFields).length > 0 ? customFields : undefined,
         createdBy: req.user._id,
         organization: req.organizationId,
       })
 
+      if (recurrence) await startSeries(task, recurrence, req.user)
       await task.save()
+      await recordTaskCreated(task, req.user)
+      await publishTaskCreated(task, req.user)
       await task.populate("assignedTo", "name email")
       await task.populate("createdBy", "name email")
 
@@ -157,17 +1091,157 @@ router.post(
   },
 )
 
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024 // 5 MB
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: 1, fileSize: MAX_IMPORT_FILE_SIZE },
+}).single("file")
+
+// Read an uploaded import file into req.file; JSON requests pass through untouched
+const receiveImportFile = async (req, res, next) => {
+  try {
+    await runUpload(importUpload, req, res)
+    next()
+  } catch (error) {
+    if (error instanceof multer.MulterError) {
+      const status = error.code === "LIMIT_FILE_SIZE" ? 413 : 400
+      return res.status(status).json({ message: error.message })
+    }
+    next(error)
+  }
+}
+
+// Import tasks from an uploaded CSV, JSON or NDJSON file, or from a JSON body with rows.
+// mapping ({ field: column }) says which column holds each field; every row is checked first
+// and nothing is imported unless all rows are valid. dryRun=true only returns the report.
+router.post(
+  "/import",
+  [
+    authorize("Admin", "Manager"),
+    receiveImportFile,
+    // Multipart uploads send the mapping as JSON text
+    body("mapping")
+      .optional()
+      .customSanitizer((value) => {
+        if (typeof value !== "string") return value
+        try {
+          return JSON.parse(value)
+        } catch {
+          return value
+        }
+      })
+      .isObject()
+      .withMessage("mapping must be an object of field: column"),
+    body("mapping.*").optional({ values: "null" }).isString(),
+    body("rows").optional().isArray({ min: 1 }),
+    body("dryRun").optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      let rows
+      try {
+        rows = req.file ? readImportFile(req.file) : req.body.rows
+      } catch (error) {
+        return res.status(400).json({ message: error.message })
+      }
+
+      if (!rows?.length) {
+        return res.status(400).json({ message: "Upload a file or send rows to import" })
+      }
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ message: `Imports are limited to ${MAX_IMPORT_ROWS} rows` })
+      }
+      if (rows.some((row) => !row || typeof row !== "object" || Array.isArray(row))) {
+        return res.status(400).json({ message: "Every row must be an object of column: value" })
+      }
+
+      const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))]
+      const { mapping, problems } = resolveImportMapping(req.organization, columns, req.body.mapping)
+      if (problems.length > 0) {
+        return res.status(400).json({ message: "Invalid column mapping", errors: problems })
+      }
+
+      // Rows are numbered from 1, not counting a CSV header
+      const context = await loadImportContext(req)
+      const prepared = []
+      for (const [index, row] of rows.entries()) {
+        prepared.push({ row: index + 1, ...(await buildImportedTask(req, context, row, mapping)) })
+      }
+
+      const invalid = prepared.filter((entry) => entry.errors)
+      const dryRun = req.body.dryRun === true
+      const report = {
+        dryRun,
+        mapping,
+        total: rows.length,
+        valid: rows.length - invalid.length,
+        invalid: invalid.length,
+        errors: invalid.map(({ row, errors: rowErrors }) => ({ row, errors: rowErrors })),
+      }
+
+      if (dryRun) {
+        const preview = prepared.filter((entry) => entry.task).map(({ row, preview: task }) => ({ row, ...task }))
+        return res.json({ ...report, preview })
+      }
+
+      if (invalid.length > 0) {
+        return res.status(400).json({ message: "Nothing was imported because some rows are invalid", ...report })
+      }
+
+      const imported = []
+      for (const { row, task } of prepared) {
+        await task.save()
+        await recordTaskCreated(task, req.user)
+        await publishTaskCreated(task, req.user)
+        imported.push({ row, id: task._id })
+      }
+
+      res.status(201).json({ ...report, imported })
+    } catch (error) {
+      console.error("Import tasks error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Fields PUT /:id may change; anything else in the body (deletedAt, series, organization...) is ignored
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "category",
+  "dueDate",
+  "assignedTo",
+  "labels",
+  "customFields",
+  "project",
+  "parent",
+  "blockedBy",
+]
+
 // Update task
 router.put(
   "/:id",
   [
     body("title").optional().trim().isLength({ min: 1, max: 200 }),
     body("description").optional().isLength({ max: 2000 }),
-    body("status").optional().isIn(["Todo", "In Progress", "Completed"]),
+    body("status").optional().isString(),
     body("priority").optional().isIn(["Low", "Medium", "High"]),
-    body("category").optional().isIn(["Bug", "Feature", "Improvement"]),
+    body("category").optional().custom(isCategory),
     body("dueDate").optional().isISO8601(),
     body("assignedTo").optional().isMongoId(),
+    ...labelAndFieldValidators,
+    ...relationValidators,
+    body("force").optional().isBoolean().toBoolean(),
+    body("recurrence").optional({ values: "null" }).isObject(),
+    scopeValidator,
   ],
   async (req, res) => {
     try {
@@ -185,45 +1259,59 @@ router.put(
         return res.status(404).json({ message: "Task not found" })
       }
 
-      // Permission check
-      if (req.user.role === "Member") {
-        // Members can only update status of tasks assigned to them
-        if (!task.assignedTo?.equals(req.user._id)) {
-          return res.status(403).json({ message: "Access denied" })
-        }
-        // Members can only update status
-        const allowedFields = ["status"]
-        const updateFields = Object.keys(req.body)
-        const hasInvalidFields = updateFields.some((field) => !allowedFields.includes(field))
+      const problem =
+        checkUpdatePermission(req, task, Object.keys(req.body)) ||
+        (await checkStatusChange(req, task, req.body.status, { force: req.body.force }))
+      if (problem) return sendProblem(res, problem)
 
-        if (hasInvalidFields) {
-          return res.status(403).json({ message: "Members can only update task status" })
-        }
+      if (!(await checkTaskRelations(req, res, task))) return
+
+      // Recurring tasks: the rule belongs to the series, so changing it affects future occurrences
+      const scope = req.query.scope || "this"
+      const { recurrence } = req.body
+      if (scope === "future" && !task.series) {
+        return res.status(400).json({ message: "Task is not part of a recurring series" })
       }
+      if (recurrence !== undefined && task.series && scope !== "future") {
+        return res.status(400).json({ message: "Recurrence changes apply to future occurrences; use scope=future" })
+      }
+      if (recurrence && !checkRecurrence(res, recurrence, req.body.dueDate || task.dueDate)) return
+
+      const movesProject = req.body.project && !task.project?.equals(req.body.project)
+      if (movesProject && !(await findTaskProject(req, res, req.body.project))) return
 
       // Validate assigned user if being updated
       if (req.body.assignedTo) {
-        const assignedUser = await User.findOne({
-          _id: req.body.assignedTo,
-          organization: req.organizationId,
-          isActive: true,
-        })
+        const assignedMember = await Membership.findActiveMember(req.body.assignedTo, req.organizationId)
 
-        if (!assignedUser) {
+        if (!assignedMember) {
           return res.status(400).json({ message: "Invalid assigned user" })
         }
       }
 
+      const customFields = resolveTaskFields(req, res, task)
+      if (!customFields) return
+
       // Update task
-      Object.keys(req.body).forEach((key) => {
+      const before = snapshotTask(task)
+      const changes = Object.keys(req.body).filter((key) => EDITABLE_FIELDS.includes(key))
+      changes.forEach((key) => {
         if (key === "dueDate" && req.body[key]) {
           task[key] = new Date(req.body[key])
+        } else if (key === "labels" || key === "blockedBy") {
+          task[key] = [...new Set(req.body[key])]
+        } else if (key === "customFields") {
+          task.customFields = customFields
         } else {
           task[key] = req.body[key]
         }
       })
 
+      if (recurrence && !task.series) await startSeries(task, recurrence, req.user)
       await task.save()
+      if (scope === "future") await updateFutureOccurrences(task, changes, recurrence)
+      await recordTaskUpdated(task, before, req.user)
+      await publishTaskUpdated(task, before, req.user)
       await task.populate("assignedTo", "name email")
       await task.populate("createdBy", "name email")
 
@@ -235,10 +1323,15 @@ router.put(
   },
 )
 
-// Delete task
-router.delete("/:id", authorize("Admin", "Manager"), async (req, res) => {
+// Delete task; scope=future also ends a recurring series and removes its open later occurrences
+router.delete("/:id", [authorize("Admin", "Manager"), scopeValidator], async (req, res) => {
   try {
-    const task = await Task.findOneAndDelete({
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const task = await Task.findOne({
       _id: req.params.id,
       organization: req.organizationId,
     })
@@ -247,22 +1340,189 @@ router.delete("/:id", authorize("Admin", "Manager"), async (req, res) => {
       return res.status(404).json({ message: "Task not found" })
     }
 
-    res.json({ message: "Task deleted successfully" })
+    await deleteTask(task, req.user, { scope: req.query.scope })
+
+    res.json({ message: "Task moved to trash" })
   } catch (error) {
     console.error("Delete task error:", error)
     res.status(500).json({ message: "Server error" })
   }
 })
 
+const BULK_ACTIONS = ["update", "delete"]
+const BULK_FIELDS = ["status", "priority", "assignedTo", "category"]
+const MAX_BULK_TASKS = 500
+
+// Request for the task list filters, so a bulk filter selects the same tasks as GET /api/tasks
+const filterRequest = (req, filter) => ({
+  // JSON booleans and numbers arrive as strings in a query string
+  query: Object.fromEntries(
+    Object.entries(filter).map(([key, value]) => [key, typeof value === "object" ? value : String(value)]),
+  ),
+  organization: req.organization,
+  organizationId: req.organizationId,
+  membership: req.membership,
+  user: req.user,
+  projectIds: req.projectIds,
+})
+
+// Apply one bulk action to a task; returns its entry for the report
+const applyBulkAction = async (req, task, { action, changes, force, dryRun }) => {
+  if (action === "delete") {
+    if (!dryRun) await deleteTask(task, req.user)
+    return { id: task._id, title: task.title, success: true }
+  }
+
+  const problem =
+    checkUpdatePermission(req, task, Object.keys(changes)) ||
+    (await checkStatusChange(req, task, changes.status, { force }))
+  if (problem) {
+    const { httpStatus, ...details } = problem
+    return { id: task._id, title: task.title, success: false, error: { status: httpStatus, ...details } }
+  }
+
+  const before = snapshotTask(task)
+  Object.assign(task, changes)
+  const taskChanges = diffSnapshots(before, snapshotTask(task))
+
+  if (!dryRun && taskChanges.length > 0) {
+    await task.save()
+    await recordTaskUpdated(task, before, req.user)
+    await publishTaskUpdated(task, before, req.user)
+  }
+  return { id: task._id, title: task.title, success: true, changes: taskChanges }
+}
+
+// Update or delete many tasks, selected by ids or by the task list filters. Each task gets the
+// same checks as the single-task routes; the report lists the outcome per task.
+// dryRun=true reports what would change without saving anything.
+router.post(
+  "/bulk",
+  [
+    body("action").isIn(BULK_ACTIONS),
+    body("ids").optional().isArray({ min: 1, max: MAX_BULK_TASKS }),
+    body("ids.*").isMongoId(),
+    body("filter").optional().isObject(),
+    body().custom((value) => {
+      if (Boolean(value.ids) === Boolean(value.filter)) {
+        throw new Error("Select tasks with either ids or filter")
+      }
+      return true
+    }),
+    body("changes")
+      .if(body("action").equals("update"))
+      .isObject()
+      .custom((changes) => {
+        const fields = Object.keys(changes)
+        if (fields.length === 0 || fields.some((field) => !BULK_FIELDS.includes(field))) {
+          throw new Error(`changes must set some of: ${BULK_FIELDS.join(", ")}`)
+        }
+        return true
+      }),
+    body("changes.status").optional().isString(),
+    body("changes.priority").optional().isIn(TASK_PRIORITIES),
+    body("changes.category").optional().custom(isCategory),
+    body("changes.assignedTo").optional().isMongoId(),
+    body("force").optional().isBoolean().toBoolean(),
+    body("dryRun").optional().isBoolean().toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const { action, ids, filter, force, dryRun = false } = req.body
+      const changes = action === "update" ? req.body.changes : undefined
+
+      // Deleting is limited to the roles that may delete a single task
+      if (action === "delete" && !["Admin", "Manager"].includes(req.membership.role)) {
+        return res.status(403).json({ message: "Access denied. Insufficient permissions." })
+      }
+
+      if (changes?.status && !getWorkflow(req.organization).statuses.includes(changes.status)) {
+        return res.status(400).json({ message: `Unknown status: ${changes.status}` })
+      }
+
+      if (changes?.assignedTo && !(await Membership.findActiveMember(changes.assignedTo, req.organizationId))) {
+        return res.status(400).json({ message: "Invalid assigned user" })
+      }
+
+      let tasks
+      const results = []
+      if (ids) {
+        const uniqueIds = [...new Set(ids)]
+        // Tasks a Member cannot see are reported as not found, without their title
+        const lookup = { _id: { $in: uniqueIds }, organization: req.organizationId }
+        const visibility = visibilityCondition(req)
+        if (visibility) Object.assign(lookup, visibility)
+        const found = await Task.find(lookup)
+        const byId = new Map(found.map((task) => [task._id.toString(), task]))
+
+        tasks = uniqueIds.map((id) => byId.get(id)).filter(Boolean)
+        uniqueIds
+          .filter((id) => !byId.has(id))
+          .forEach((id) => results.push({ id, success: false, error: { status: 404, message: "Task not found" } }))
+      } else {
+        const listRequest = filterRequest(req, filter)
+        await Promise.all(taskFilterValidators.map((chain) => chain.run(listRequest)))
+        const filterErrors = validationResult(listRequest)
+        if (!filterErrors.isEmpty()) {
+          const errors = filterErrors
+            .array()
+            .map((error) => ({ ...error, location: "body", path: `filter.${error.path}` }))
+          return res.status(400).json({ errors })
+        }
+
+        const taskFilter = buildTaskFilter(listRequest)
+        const matched = await Task.countDocuments(taskFilter)
+        if (matched > MAX_BULK_TASKS) {
+          return res
+            .status(400)
+            .json({ message: `Filter matches ${matched} tasks; bulk operations are limited to ${MAX_BULK_TASKS}` })
+        }
+        tasks = await Task.find(taskFilter).sort({ createdAt: 1 })
+      }
+
+      for (const task of tasks) {
+        try {
+          results.push(await applyBulkAction(req, task, { action, changes, force, dryRun }))
+        } catch (error) {
+          console.error(`Bulk ${action} of task ${task._id} error:`, error)
+          results.push({
+            id: task._id,
+            title: task.title,
+            success: false,
+            error: { status: 500, message: "Server error" },
+          })
+        }
+      }
+
+      const succeeded = results.filter((result) => result.success).length
+      res.json({
+        action,
+        dryRun,
+        matched: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+      })
+    } catch (error) {
+      console.error("Bulk task operation error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
 // Get task statistics
 router.get("/stats/overview", async (req, res) => {
   try {
     const filter = { organization: req.organizationId }
 
     // For members, only show stats for their tasks
-    if (req.user.role === "Member") {
-      filter.$or = [{ assignedTo: req.user._id }, { createdBy: req.user._id }]
-    }
+    const visibility = visibilityCondition(req)
+    if (visibility) Object.assign(filter, visibility)
 
     const stats = await Task.aggregate([
       { $match: filter },
@@ -303,6 +1563,13 @@ router.get("/stats/overview", async (req, res) => {
       overdue: 0,
     }
 
+    // Counts for every status of the workflow, including custom ones
+    const statusCounts = await Task.aggregate([{ $match: filter }, { $group: { _id: "$status", count: { $sum: 1 } } }])
+    result.byStatus = Object.fromEntries(getWorkflow(req.organization).statuses.map((status) => [status, 0]))
+    statusCounts.forEach(({ _id, count }) => {
+      result.byStatus[_id] = count
+    })
+
     res.json(result)
   } catch (error) {
     console.error("Get stats error:", error)
@@ -0,0 +1,317 @@
+const express = require("express")
+const { body, param, query, validationResult } = require("express-validator")
+const Webhook = require("../models/Webhook")
+const WebhookDelivery = require("../models/WebhookDelivery")
+const { auth, authorize } = require("../middleware/auth")
+const { tenantIsolation } = require("../middleware/tenant")
+const { recordAudit } = require("../services/audit")
+const { EVENT_TYPES } = require("../services/events")
+const { generateSecret, redeliver, checkWebhookUrl } = require("../services/webhooks")
+
+const router = express.Router()
+
+// Apply authentication and tenant isolation to all routes; webhooks are managed by Admins
+router.use(auth)
+router.use(tenantIsolation)
+router.use(authorize("Admin"))
+
+const webhookTarget = (webhook) => ({ type: "webhook", id: webhook._id, label: webhook.url })
+
+// Audited webhook fields
+const webhookSnapshot = (webhook) => {
+  const { url, description, events, active } = webhook.toObject()
+  return { url, description, events, active }
+}
+
+const webhookValidators = (optional) => {
+  const url = body("url")
+  const events = body("events")
+  return [
+    (optional ? url.optional() : url).isURL({ protocols: ["http", "https"], require_protocol: true, require_tld: false }),
+    (optional ? events.optional() : events).isArray({ min: 1 }),
+    body("events.*").isIn([...EVENT_TYPES, "*"]),
+    body("description").optional().isString().isLength({ max: 500 }),
+    body("active").optional().isBoolean({ strict: true }),
+  ]
+}
+
+// Delivery log entries without their payload
+const DELIVERY_SUMMARY = "-payload"
+
+const findWebhook = (req) => Webhook.findOne({ _id: req.params.id, organization: req.organizationId })
+
+// List webhooks
+router.get("/", async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ organization: req.organizationId })
+      .populate("createdBy", "name email")
+      .sort({ createdAt: -1 })
+
+    res.json(webhooks)
+  } catch (error) {
+    console.error("Get webhooks error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Register a webhook. The response is the only time the signing secret is shown.
+router.post("/", webhookValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const { url, description, events, active } = req.body
+    const urlProblem = await checkWebhookUrl(url)
+    if (urlProblem) {
+      return res.status(400).json({ message: urlProblem })
+    }
+
+    const webhook = await Webhook.create({
+      organization: req.organizationId,
+      url,
+      description,
+      events: [...new Set(events)],
+      active,
+      secret: generateSecret(),
+      createdBy: req.user._id,
+    })
+    await recordAudit(req, {
+      action: "webhook.created",
+      target: webhookTarget(webhook),
+      after: webhookSnapshot(webhook),
+    })
+
+    res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret })
+  } catch (error) {
+    console.error("Create webhook error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Get a webhook
+router.get("/:id", [param("id").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const webhook = await findWebhook(req).populate("createdBy", "name email")
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" })
+    }
+
+    res.json(webhook)
+  } catch (error) {
+    console.error("Get webhook error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Update a webhook
+router.put("/:id", [param("id").isMongoId(), ...webhookValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const webhook = await findWebhook(req)
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" })
+    }
+
+    if (req.body.url !== undefined) {
+      const urlProblem = await checkWebhookUrl(req.body.url)
+      if (urlProblem) {
+        return res.status(400).json({ message: urlProblem })
+      }
+    }
+
+    const before = webhookSnapshot(webhook)
+    for (const field of ["url", "description", "active"]) {
+      if (req.body[field] !== undefined) webhook[field] = req.body[field]
+    }
+    if (req.body.events) webhook.events = [...new Set(req.body.events)]
+    await webhook.save()
+
+    await recordAudit(req, {
+      action: "webhook.updated",
+      target: webhookTarget(webhook),
+      before,
+      after: webhookSnapshot(webhook),
+    })
+
+    res.json(webhook)
+  } catch (error) {
+    console.error("Update webhook error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Replace the signing secret; deliveries are signed with the new one from now on
+router.post("/:id/rotate-secret", [param("id").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const webhook = await findWebhook(req)
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" })
+    }
+
+    webhook.secret = generateSecret()
+    await webhook.save()
+    await recordAudit(req, { action: "webhook.secret_rotated", target: webhookTarget(webhook) })
+
+    res.json({ ...webhook.toJSON(), secret: webhook.secret })
+  } catch (error) {
+    console.error("Rotate webhook secret error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Delete a webhook and its delivery log
+router.delete("/:id", [param("id").isMongoId()], async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    const webhook = await findWebhook(req)
+    if (!webhook) {
+      return res.status(404).json({ message: "Webhook not found" })
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id })
+    await webhook.deleteOne()
+    await recordAudit(req, {
+      action: "webhook.deleted",
+      target: webhookTarget(webhook),
+      before: webhookSnapshot(webhook),
+    })
+
+    res.json({ message: "Webhook deleted successfully" })
+  } catch (error) {
+    console.error("Delete webhook error:", error)
+    res.status(500).json({ message: "Server error" })
+  }
+})
+
+// Delivery log of a webhook, newest first
+router.get(
+  "/:id/deliveries",
+  [
+    param("id").isMongoId(),
+    query("status").optional().isIn(["pending", "succeeded", "failed"]),
+    query("event").optional().isIn(EVENT_TYPES),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const webhook = await findWebhook(req)
+      if (!webhook) {
+        return res.status(404).json({ message: "Webhook not found" })
+      }
+
+      const page = Number.parseInt(req.query.page) || 1
+      const limit = Number.parseInt(req.query.limit) || 20
+      const filter = { webhook: webhook._id }
+      if (req.query.status) filter.status = req.query.status
+      if (req.query.event) filter.event = req.query.event
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .select(DELIVERY_SUMMARY)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        WebhookDelivery.countDocuments(filter),
+      ])
+
+      res.json({
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      })
+    } catch (error) {
+      console.error("Get webhook deliveries error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// A delivery with its payload
+router.get(
+  "/:id/deliveries/:deliveryId",
+  [param("id").isMongoId(), param("deliveryId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const delivery = await WebhookDelivery.findOne({
+        _id: req.params.deliveryId,
+        webhook: req.params.id,
+        organization: req.organizationId,
+      })
+      if (!delivery) {
+        return res.status(404).json({ message: "Delivery not found" })
+      }
+
+      res.json(delivery)
+    } catch (error) {
+      console.error("Get webhook delivery error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+// Send a delivery's payload again now; the outcome is recorded as a new delivery
+router.post(
+  "/:id/deliveries/:deliveryId/redeliver",
+  [param("id").isMongoId(), param("deliveryId").isMongoId()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() })
+      }
+
+      const webhook = await findWebhook(req)
+      const delivery =
+        webhook && (await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id }))
+      if (!delivery) {
+        return res.status(404).json({ message: "Delivery not found" })
+      }
+
+      if (!webhook.active) {
+        return res.status(400).json({ message: "Cannot redeliver to a disabled webhook" })
+      }
+
+      res.status(201).json(await redeliver(delivery))
+    } catch (error) {
+      console.error("Redeliver webhook error:", error)
+      res.status(500).json({ message: "Server error" })
+    }
+  },
+)
+
+module.exports = router
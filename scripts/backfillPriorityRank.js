@@ -0,0 +1,24 @@
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+const Task = require("../models/Task")
+
+// Set priorityRank on tasks created before priority sorting existed. Safe to run more than once.
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  let updated = 0
+  for (const [priority, rank] of Object.entries(Task.PRIORITY_RANKS)) {
+    const result = await Task.updateMany({ priority, priorityRank: { $ne: rank } }, { $set: { priorityRank: rank } })
+    updated += result.modifiedCount
+  }
+
+  console.log(`Updated priorityRank on ${updated} tasks`)
+}
+
+migrate()
+  .catch((error) => {
+    console.error("Priority rank migration failed:", error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose")
+require("dotenv").config()
+
+const User = require("../models/User")
+const Membership = require("../models/Membership")
+
+// Create a Membership for every user that predates multi-organization support
+// and only has User.organization / User.role set. Safe to run more than once.
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  let created = 0
+  for await (const user of User.find({ organization: { $ne: null } }).cursor()) {
+    const result = await Membership.updateOne(
+      { user: user._id, organization: user.organization },
+      { $setOnInsert: { role: user.role, isActive: user.isActive } },
+      { upsert: true },
+    )
+    created += result.upsertedCount
+  }
+
+  console.log(`Created ${created} memberships`)
+}
+
+migrate()
+  .catch((error) => {
+    console.error("Membership migration failed:", error)
+    process.exitCode = 1
+  })
+  .finally(() => mongoose.disconnect())
@@ -10,6 +10,17 @@ const authRoutes = require("./routes/auth");
 const taskRoutes = require("./routes/tasks");
 const organizationRoutes = require("./routes/organizations");
 const healthRoutes = require("./routes/health");
+const adminRoutes = require("./routes/admin");
+const projectRoutes = require("./routes/projects");
+const notificationRoutes = require("./routes/notifications");
+const webhookRoutes = require("./routes/webhooks");
+const eventRoutes = require("./routes/events");
+const jobRunner = require("./jobs");
+
+// Event subscribers
+require("./services/notifications");
+require("./services/webhooks");
+require("./services/liveUpdates");
 
 const app = express();
 
@@ -25,7 +36,9 @@ app.use(
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 100,
+  max: Number.parseInt(process.env.RATE_LIMIT_MAX) || 100,
+  // Test suites make far more requests than any client would
+  skip: () => process.env.NODE_ENV === "test",
 });
 app.use("/api/", limiter);
 
@@ -37,7 +50,12 @@ app.use(express.urlencoded({ extended: true }));
 app.use("/api/auth", authRoutes);
 app.use("/api/tasks", taskRoutes);
 app.use("/api/organizations", organizationRoutes);
+app.use("/api/projects", projectRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/events", eventRoutes);
 app.use("/api/health", healthRoutes);
+app.use("/api/admin", adminRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -57,6 +75,12 @@ mongoose
   .then(() => {
     console.log("Connected to MongoDB");
 
+    // Jobs and the HTTP listener belong to the long-running server process only,
+    // not to tests or the serverless handler that import the app
+    if (require.main !== module) return;
+
+    jobRunner.start();
+
     // ✅ Start listening ONLY after DB is connected
     app.listen(PORT, () => {
       console.log(`✅ Server is running on port ${PORT}`);
@@ -65,3 +89,5 @@ mongoose
   .catch((err) => {
     console.error("❌ MongoDB connection failed:", err);
   });
+
+module.exports = app;
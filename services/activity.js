@@ -0,0 +1,97 @@
+const TaskActivity = require("../models/TaskActivity")
+
+// Task fields whose changes are recorded
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "category",
+  "dueDate",
+  "assignedTo",
+  "labels",
+  "customFields",
+  "project",
+  "parent",
+  "blockedBy",
+]
+
+const plainValue = (value) => {
+  if (value === undefined || value === null) return null
+  if (value instanceof Date) return value.toISOString()
+  if (Array.isArray(value)) return value.length > 0 ? value.map(plainValue) : null
+  if (value instanceof Map) {
+    return value.size > 0 ? Object.fromEntries([...value].map(([key, item]) => [key, plainValue(item)])) : null
+  }
+  if (value._id) return value._id.toString()
+  return typeof value === "object" ? value.toString() : value
+}
+
+// Plain values of the tracked fields, so snapshots compare and store cleanly
+const snapshotTask = (task) => Object.fromEntries(TRACKED_FIELDS.map((field) => [field, plainValue(task[field])]))
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS.filter((field) => !isSame(before[field], after[field])).map((field) => ({
+    field,
+    from: before[field],
+    to: after[field],
+  }))
+
+const record = async (entries) => {
+  try {
+    await TaskActivity.insertMany(entries)
+  } catch (error) {
+    // History must never break the change it describes
+    console.error("Record task activity error:", error)
+  }
+}
+
+const baseEntry = (task, actor) => ({
+  task: task._id,
+  taskTitle: task.title,
+  organization: task.organization._id || task.organization,
+  actor: actor?._id,
+})
+
+const recordTaskCreated = (task, actor) => {
+  const empty = Object.fromEntries(TRACKED_FIELDS.map((field) => [field, null]))
+  return record([{ ...baseEntry(task, actor), type: "created", changes: diffSnapshots(empty, snapshotTask(task)) }])
+}
+
+// Split an update into status, assignment and general field events
+const recordTaskUpdated = (task, before, actor) => {
+  const changes = diffSnapshots(before, snapshotTask(task))
+  const entries = []
+
+  const byType = {
+    status_changed: changes.filter((change) => change.field === "status"),
+    assigned: changes.filter((change) => change.field === "assignedTo"),
+    updated: changes.filter((change) => !["status", "assignedTo"].includes(change.field)),
+  }
+
+  for (const [type, typeChanges] of Object.entries(byType)) {
+    if (typeChanges.length > 0) {
+      entries.push({ ...baseEntry(task, actor), type, changes: typeChanges })
+    }
+  }
+
+  return entries.length > 0 ? record(entries) : Promise.resolve()
+}
+
+const recordTaskDeleted = (task, actor) => record([{ ...baseEntry(task, actor), type: "deleted", changes: [] }])
+
+// Restoring can reset fields the organization no longer allows; those show up as changes
+const recordTaskRestored = (task, before, actor) =>
+  record([{ ...baseEntry(task, actor), type: "restored", changes: diffSnapshots(before, snapshotTask(task)) }])
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotTask,
+  diffSnapshots,
+  recordTaskCreated,
+  recordTaskUpdated,
+  recordTaskDeleted,
+  recordTaskRestored,
+}
@@ -0,0 +1,22 @@
+const AuditLog = require("../models/AuditLog")
+
+// Append an entry to an organization's audit log. The request supplies the
+// default actor, IP and user agent.
+const recordAudit = async (req, { organization, actor, action, target, before, after }) => {
+  try {
+    await AuditLog.create({
+      organization: organization || req.organizationId,
+      actor: actor || req.user?._id,
+      action,
+      target,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      before,
+      after,
+    })
+  } catch (error) {
+    console.error("Record audit log error:", error)
+  }
+}
+
+module.exports = { recordAudit }
@@ -0,0 +1,72 @@
+const crypto = require("crypto")
+
+// In-process event bus for domain events. Routes and jobs publish; notifications and other
+// integrations subscribe. Every event carries { type, organization, actor, occurredAt, ... }.
+const EVENT_TYPES = [
+  "task.created",
+  "task.updated",
+  "task.assigned",
+  "task.status_changed",
+  "task.deleted",
+  "task.restored",
+  "task.commented",
+  "task.expired",
+  "member.joined",
+  "member.role_changed",
+  "member.removed",
+]
+
+const subscribers = new Map()
+
+// Handle events of one type, or every event with "*". Returns a function that unsubscribes.
+const subscribe = (type, handler) => {
+  if (type !== "*" && !EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`)
+  }
+
+  const handlers = subscribers.get(type) || new Set()
+  handlers.add(handler)
+  subscribers.set(type, handlers)
+  return () => handlers.delete(handler)
+}
+
+// Deliver the event to its subscribers. Waits for them so callers can rely on side effects,
+// but a failing subscriber is only logged: events must never break the change they describe.
+const publish = async (type, payload) => {
+  const event = { type, occurredAt: new Date(), ...payload }
+  const handlers = [...(subscribers.get(type) || []), ...(subscribers.get("*") || [])]
+
+  const results = await Promise.allSettled(handlers.map(async (handler) => handler(event)))
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) => console.error(`Event subscriber error (${type}):`, result.reason))
+}
+
+const idOf = (value) => (value?._id || value)?.toString()
+
+// Users appear in serialized events as a short profile
+const userSummary = (user) => (user?._id ? { _id: user._id, name: user.name, email: user.email } : { _id: user })
+
+// Plain JSON form of an event for external consumers (webhooks, live updates):
+// { id, type, occurredAt, organization, actor, data }
+const serializeEvent = (event) => {
+  const { type, occurredAt, organization, actor, ...data } = event
+  if (data.task?.toJSON) {
+    const { comments, ...task } = data.task.toJSON()
+    data.task = task
+  }
+  if (data.user) data.user = userSummary(data.user)
+
+  return JSON.parse(
+    JSON.stringify({
+      id: crypto.randomUUID(),
+      type,
+      occurredAt,
+      organization: idOf(organization),
+      actor: actor ? userSummary(actor) : null,
+      data,
+    }),
+  )
+}
+
+module.exports = { EVENT_TYPES, subscribe, publish, serializeEvent }
@@ -0,0 +1,132 @@
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Membership = require("../models/Membership")
+const Organization = require("../models/Organization")
+const { findVisibleProjectIds } = require("../middleware/tenant")
+const { canViewTask } = require("../utils/taskFilters")
+const { subscribe, serializeEvent } = require("./events")
+
+// Keeps proxies from closing idle streams; access is re-checked on the same beat
+const HEARTBEAT_INTERVAL = 25 * 1000
+// How long browsers wait before reconnecting a dropped stream
+const RECONNECT_DELAY = 5 * 1000
+
+// Open streams by organization id. Each client keeps the request it connected with, so the
+// REST visibility rules (canViewTask) apply to it unchanged. Streams only receive events
+// published by this process.
+const clients = new Map()
+
+const idOf = (value) => (value?._id || value)?.toString()
+
+const send = (client, type, payload) => {
+  const id = payload.id ? `id: ${payload.id}\n` : ""
+  client.res.write(`${id}event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`)
+}
+
+const close = (client) => {
+  client.res.end()
+  clients.get(client.organizationId)?.delete(client)
+}
+
+// Reload the user's access: streams of users who were deactivated, signed out everywhere or
+// removed from the organization, and of deactivated organizations, are closed; role and
+// project changes take effect.
+const refreshAccess = async (client) => {
+  const { req } = client
+  const [user, membership, organizationOpen] = await Promise.all([
+    User.findById(req.user._id).select("isActive tokenVersion"),
+    Membership.findForUser(req.user._id, req.organizationId),
+    Organization.exists({ _id: req.organizationId, isActive: true }),
+  ])
+
+  const userOpen = user?.isActive && user.tokenVersion === req.user.tokenVersion
+  if (!userOpen || !membership?.isActive || !organizationOpen) {
+    close(client)
+    return
+  }
+
+  req.membership = membership
+  req.projectIds = await findVisibleProjectIds(req.user._id, req.organizationId, membership.role)
+}
+
+// Start streaming the organization's events to an authenticated request
+const connect = (req, res) => {
+  const client = { req, res, organizationId: req.organizationId.toString() }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  })
+  res.flushHeaders()
+  res.write(`retry: ${RECONNECT_DELAY}\n\n`)
+
+  const organizationClients = clients.get(client.organizationId) || new Set()
+  organizationClients.add(client)
+  clients.set(client.organizationId, organizationClients)
+
+  const heartbeat = setInterval(() => {
+    res.write(": heartbeat\n\n")
+    refreshAccess(client).catch((error) => console.error("Live updates access check error:", error))
+  }, HEARTBEAT_INTERVAL)
+
+  res.on("close", () => {
+    clearInterval(heartbeat)
+    organizationClients.delete(client)
+    if (organizationClients.size === 0 && clients.get(client.organizationId) === organizationClients) {
+      clients.delete(client.organizationId)
+    }
+  })
+
+  send(client, "ready", { organization: client.organizationId })
+}
+
+// Send the event to the organization's clients that pass the check
+const broadcast = (event, canReceive) => {
+  const organizationClients = clients.get(idOf(event.organization))
+  if (!organizationClients) return
+
+  let payload
+  for (const client of organizationClients) {
+    if (!canReceive(client.req)) continue
+    payload = payload || serializeEvent(event)
+    send(client, event.type, payload)
+  }
+}
+
+// Enough of the task as it was before an update to decide who could see it
+const previousTask = (task, changes) => {
+  const before = { assignedTo: task.assignedTo, createdBy: task.createdBy, project: task.project }
+  for (const { field, from } of changes) {
+    if (field in before) before[field] = from ? new mongoose.Types.ObjectId(from) : null
+  }
+  return before
+}
+
+for (const type of ["task.created", "task.deleted", "task.restored", "task.commented", "task.expired"]) {
+  subscribe(type, (event) => broadcast(event, (req) => canViewTask(req, event.task)))
+}
+
+// Viewers who lose sight of a task through the update get task.removed so they can drop it
+subscribe("task.updated", (event) => {
+  broadcast(event, (req) => canViewTask(req, event.task))
+
+  const before = previousTask(event.task, event.changes)
+  const removed = { ...event, type: "task.removed", task: undefined, changes: undefined, taskId: event.task._id }
+  broadcast(removed, (req) => !canViewTask(req, event.task) && canViewTask(req, before))
+})
+
+// Member changes go to everyone in the organization, after the member's own streams are updated
+for (const type of ["member.joined", "member.role_changed", "member.removed"]) {
+  subscribe(type, async (event) => {
+    const affected = [...(clients.get(idOf(event.organization)) || [])].filter(
+      (client) => idOf(client.req.user) === idOf(event.user),
+    )
+    await Promise.all(affected.map(refreshAccess))
+
+    broadcast(event, () => true)
+  })
+}
+
+module.exports = { connect }
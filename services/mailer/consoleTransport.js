@@ -0,0 +1,8 @@
+// Prints outgoing mail to stdout; the default for local development
+const createConsoleTransport = () => ({
+  async send(message) {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`)
+  },
+})
+
+module.exports = createConsoleTransport
@@ -0,0 +1,16 @@
+const fs = require("fs")
+const path = require("path")
+
+// Appends each message as a JSON line to MAIL_FILE_PATH so tests and tools can read it back
+const createFileTransport = ({ filePath = process.env.MAIL_FILE_PATH || "./mail.log" } = {}) => {
+  const target = path.resolve(filePath)
+
+  return {
+    async send(message) {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true })
+      await fs.promises.appendFile(target, JSON.stringify({ ...message, sentAt: new Date() }) + "\n")
+    },
+  }
+}
+
+module.exports = createFileTransport
@@ -0,0 +1,40 @@
+const createConsoleTransport = require("./consoleTransport")
+const createFileTransport = require("./fileTransport")
+const templates = require("./templates")
+
+// Available mail transports, keyed by the MAIL_TRANSPORT env value.
+// A transport exposes send({ from, to, subject, text }).
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+}
+
+let activeTransport
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory
+  activeTransport = undefined
+}
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || "console"
+    const factory = transports[name]
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`)
+    }
+
+    activeTransport = factory()
+  }
+
+  return activeTransport
+}
+
+const sendMail = (message) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@task-platform.local",
+    ...message,
+  })
+
+module.exports = { registerTransport, sendMail, templates }
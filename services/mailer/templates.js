@@ -0,0 +1,27 @@
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:3000"
+
+const passwordReset = ({ user, token, expiresAt }) => {
+  const url = `${frontendUrl()}/reset-password?token=${token}`
+
+  return {
+    subject: "Reset your password",
+    text:
+      `Hi ${user.name},\n\n` +
+      `We received a request to reset your password. Use the link below to choose a new one:\n\n${url}\n\n` +
+      `The link expires at ${expiresAt.toISOString()}. If you did not ask for a reset you can ignore this email.`,
+  }
+}
+
+const invitation = ({ organization, inviter, role, token, expiresAt }) => {
+  const url = `${frontendUrl()}/join?token=${token}`
+
+  return {
+    subject: `You're invited to join ${organization.name}`,
+    text:
+      `${inviter.name} invited you to join ${organization.name} as a ${role}.\n\n` +
+      `Accept the invitation here:\n\n${url}\n\n` +
+      `The invitation expires at ${expiresAt.toISOString()}.`,
+  }
+}
+
+module.exports = { passwordReset, invitation }
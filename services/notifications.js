@@ -0,0 +1,82 @@
+const Notification = require("../models/Notification")
+const Membership = require("../models/Membership")
+const { subscribe } = require("./events")
+
+const idOf = (value) => (value?._id || value)?.toString()
+
+const actorName = (actor) => actor?.name || "Someone"
+
+// Create a notification for each recipient that is an active member of the organization and has
+// not switched the type off. People are never notified about their own actions.
+const notify = async ({ organization, actor, type, recipients, message, task }) => {
+  const userIds = [...new Set(recipients.filter(Boolean).map(idOf))].filter((id) => id !== idOf(actor))
+  if (userIds.length === 0) return []
+
+  const memberships = await Membership.find({ organization, user: { $in: userIds }, isActive: true }).populate(
+    "user",
+    "isActive notificationPreferences",
+  )
+  const users = memberships
+    .map((membership) => membership.user)
+    .filter((user) => user?.isActive && user.notificationPreferences?.get(type) !== false)
+  if (users.length === 0) return []
+
+  return Notification.insertMany(
+    users.map((user) => ({ user: user._id, organization, type, message, task: task?._id, actor: actor?._id })),
+  )
+}
+
+subscribe("task.assigned", ({ organization, actor, task, to }) =>
+  notify({
+    organization,
+    actor,
+    task,
+    type: "task_assigned",
+    recipients: [to],
+    message: `${actorName(actor)} assigned you "${task.title}"`,
+  }),
+)
+
+// Mentioned users get a mention instead of the general comment notification
+subscribe("task.commented", async ({ organization, actor, task, comment }) => {
+  const mentioned = (comment.mentions || []).map(idOf)
+
+  await notify({
+    organization,
+    actor,
+    task,
+    type: "task_mentioned",
+    recipients: mentioned,
+    message: `${actorName(actor)} mentioned you on "${task.title}"`,
+  })
+  await notify({
+    organization,
+    actor,
+    task,
+    type: "task_commented",
+    recipients: [task.assignedTo, task.createdBy].filter((user) => user && !mentioned.includes(idOf(user))),
+    message: `${actorName(actor)} commented on "${task.title}"`,
+  })
+})
+
+subscribe("task.expired", ({ organization, task }) =>
+  notify({
+    organization,
+    task,
+    type: "task_expired",
+    recipients: [task.assignedTo || task.createdBy],
+    message: `"${task.title}" expired before it was completed`,
+  }),
+)
+
+subscribe("member.role_changed", ({ organization, actor, user, from, to }) =>
+  notify({
+    organization,
+    actor,
+    type: "role_changed",
+    recipients: [user],
+    message: `${actorName(actor)} changed your role from ${from} to ${to}`,
+  }),
+)
+
+module.exports = { notify }
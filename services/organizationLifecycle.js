@@ -0,0 +1,150 @@
+const { Readable } = require("stream")
+const archiver = require("archiver")
+const User = require("../models/User")
+const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
+const Invitation = require("../models/Invitation")
+const Project = require("../models/Project")
+const Task = require("../models/Task")
+const TaskActivity = require("../models/TaskActivity")
+const TaskSeries = require("../models/TaskSeries")
+const Notification = require("../models/Notification")
+const ReminderLog = require("../models/ReminderLog")
+const RefreshToken = require("../models/RefreshToken")
+const Webhook = require("../models/Webhook")
+const WebhookDelivery = require("../models/WebhookDelivery")
+const { removeStoredFiles } = require("./storage")
+
+const DAY = 24 * 60 * 60 * 1000
+// How long a deactivated organization can be reactivated before its data is deleted
+const GRACE_PERIOD = (Number.parseInt(process.env.ORGANIZATION_DELETION_GRACE_DAYS) || 30) * DAY
+
+// Tasks in the export include the trash
+const ALL_TASKS = { withDeleted: true }
+
+// Close the organization: its members lose access and the data is deleted once the grace period ends
+const deactivateOrganization = async (organization, actor) => {
+  const now = new Date()
+  organization.isActive = false
+  organization.deactivatedAt = now
+  organization.deactivatedBy = actor._id
+  organization.deletionScheduledAt = new Date(now.getTime() + GRACE_PERIOD)
+  await organization.save()
+  return organization
+}
+
+const reactivateOrganization = async (organization) => {
+  organization.isActive = true
+  organization.deactivatedAt = undefined
+  organization.deactivatedBy = undefined
+  organization.deletionScheduledAt = undefined
+  await organization.save()
+  return organization
+}
+
+// One JSON document per line
+async function* ndjson(cursor, toRecord = (document) => [document]) {
+  for await (const document of cursor) {
+    for (const record of toRecord(document)) {
+      yield JSON.stringify(record) + "\n"
+    }
+  }
+}
+
+const memberRecord = (membership) => ({
+  id: membership.user._id,
+  name: membership.user.name,
+  email: membership.user.email,
+  role: membership.role,
+  isActive: membership.isActive && membership.user.isActive,
+  joinedAt: membership.createdAt,
+})
+
+const commentRecords = (task) =>
+  task.comments.map((comment) => ({ task: task._id, ...comment.toObject({ depopulate: true }) }))
+
+// Write a zip of the organization's data to the stream: organization.json, members.json,
+// projects.json, tasks.ndjson (trashed tasks included, without comments) and comments.ndjson
+const writeOrganizationArchive = async (organization, output) => {
+  const archive = archiver("zip", { zlib: { level: 6 } })
+  archive.on("warning", (warning) => console.error("Organization archive warning:", warning))
+  archive.pipe(output)
+
+  const memberships = await Membership.find({ organization: organization._id })
+    .populate("user", "name email isActive")
+    .sort({ createdAt: 1 })
+  const projects = await Project.find({ organization: organization._id }).sort({ createdAt: 1 })
+
+  const tasks = () => Task.find({ organization: organization._id }).setOptions(ALL_TASKS).sort({ _id: 1 })
+
+  archive.append(JSON.stringify({ ...organization.toJSON(), exportedAt: new Date() }, null, 2), {
+    name: "organization.json",
+  })
+  archive.append(JSON.stringify(memberships.filter((membership) => membership.user).map(memberRecord), null, 2), {
+    name: "members.json",
+  })
+  archive.append(JSON.stringify(projects, null, 2), { name: "projects.json" })
+  archive.append(Readable.from(ndjson(tasks().select("-comments").cursor())), { name: "tasks.ndjson" })
+  archive.append(Readable.from(ndjson(tasks().select("comments").cursor(), commentRecords)), {
+    name: "comments.ndjson",
+  })
+
+  await archive.finalize()
+}
+
+// Members keep their accounts if they belong to another organization; the rest are deleted
+const removeMembers = async (organizationId) => {
+  const memberIds = await Membership.find({ organization: organizationId }).distinct("user")
+  const legacyIds = await User.find({ organization: organizationId }).distinct("_id")
+  await Membership.deleteMany({ organization: organizationId })
+  await RefreshToken.deleteMany({ organization: organizationId })
+
+  const userIds = [...new Set([...memberIds, ...legacyIds].map(String))]
+  for (const userId of userIds) {
+    const other = await Membership.findOne({ user: userId }).sort({ isActive: -1, createdAt: 1 })
+    if (other) {
+      // Their default organization moves to one they still belong to
+      const filter = { _id: userId, organization: organizationId }
+      await User.updateOne(filter, { $set: { organization: other.organization } })
+    } else {
+      await User.deleteOne({ _id: userId })
+      await RefreshToken.deleteMany({ user: userId })
+    }
+  }
+}
+
+// Delete the organization and everything it owns, stored files included. The audit log is
+// append-only and outlives it.
+const deleteOrganization = async (organization) => {
+  const organizationId = organization._id
+
+  const cursor = Task.find({ organization: organizationId }).setOptions(ALL_TASKS).select("attachments").cursor()
+  for await (const task of cursor) {
+    await removeStoredFiles(task.attachments)
+  }
+
+  const owned = [
+    Task,
+    TaskActivity,
+    TaskSeries,
+    Project,
+    Invitation,
+    Notification,
+    ReminderLog,
+    Webhook,
+    WebhookDelivery,
+  ]
+  for (const Model of owned) {
+    await Model.deleteMany({ organization: organizationId })
+  }
+  await removeMembers(organizationId)
+  await Organization.deleteOne({ _id: organizationId })
+}
+
+module.exports = {
+  GRACE_PERIOD,
+  deactivateOrganization,
+  reactivateOrganization,
+  writeOrganizationArchive,
+  deleteOrganization,
+}
@@ -0,0 +1,122 @@
+const Task = require("../models/Task")
+const TaskSeries = require("../models/TaskSeries")
+const Organization = require("../models/Organization")
+const { getWorkflow, RESERVED_STATUSES } = require("../utils/workflow")
+const { normalizeRecurrence, nextOccurrence } = require("../utils/recurrence")
+const { recordTaskCreated } = require("./activity")
+const { publishTaskCreated } = require("./taskEvents")
+
+const templateFrom = (task) => Object.fromEntries(TaskSeries.TEMPLATE_FIELDS.map((field) => [field, task[field]]))
+
+// Start a series with the (unsaved) task as its first occurrence
+const startSeries = async (task, rule, user) => {
+  const series = await TaskSeries.create({
+    organization: task.organization,
+    recurrence: normalizeRecurrence(rule, task.dueDate),
+    template: templateFrom(task),
+    createdBy: user._id,
+  })
+
+  task.series = series._id
+  task.occurrence = 1
+  return series
+}
+
+// Create the occurrence that follows the task, at most once per task. Returns the new task,
+// or null when the series has ended or another run already handled the task.
+const createNextOccurrence = async (task, { now = new Date() } = {}) => {
+  const claim = await Task.updateOne(
+    { _id: task._id, recurrenceHandled: { $ne: true } },
+    { $set: { recurrenceHandled: true } },
+  )
+  if (claim.modifiedCount === 0) return null
+
+  try {
+    const series = await TaskSeries.findById(task.series)
+    if (!series || series.endedAt) return null
+
+    const dueDate = nextOccurrence(series.recurrence, task.dueDate || series.recurrence.anchor, {
+      now,
+      occurrences: series.occurrenceCount,
+    })
+    if (!dueDate) {
+      series.endedAt = now
+      await series.save()
+      return null
+    }
+
+    const organization = await Organization.findById(series.organization)
+    const { template } = series.toObject()
+    const occurrence = await Task.create({
+      ...template,
+      status: getWorkflow(organization).initialStatus,
+      dueDate,
+      series: series._id,
+      occurrence: series.occurrenceCount + 1,
+      organization: series.organization,
+      createdBy: series.createdBy,
+    })
+
+    series.occurrenceCount += 1
+    await series.save()
+    await recordTaskCreated(occurrence)
+    await publishTaskCreated(occurrence)
+    return occurrence
+  } catch (error) {
+    // Leave the task for the next run
+    await Task.updateOne({ _id: task._id }, { $unset: { recurrenceHandled: 1 } })
+    throw error
+  }
+}
+
+// Apply an edit of one occurrence to the rest of its series: the template, the rule
+// (null ends the series) and later occurrences that are still open
+const updateFutureOccurrences = async (task, changedFields, recurrence) => {
+  const series = await TaskSeries.findById(task.series)
+  if (!series) return
+
+  const templateFields = changedFields.filter((field) => TaskSeries.TEMPLATE_FIELDS.includes(field))
+  const values = Object.fromEntries(templateFields.map((field) => [field, task[field]]))
+  // updateMany skips the validate hook that keeps priorityRank in step with priority
+  if (values.priority) values.priorityRank = Task.PRIORITY_RANKS[values.priority]
+  templateFields.forEach((field) => series.set(`template.${field}`, task[field]))
+
+  if (recurrence === null) {
+    series.endedAt = new Date()
+  } else if (recurrence) {
+    series.recurrence = normalizeRecurrence(recurrence, task.dueDate)
+    series.endedAt = undefined
+
+    // The latest occurrence may have ended the old rule; let the new one continue from it
+    const later = await Task.exists({ series: series._id, occurrence: { $gt: task.occurrence } }).setOptions({
+      withDeleted: true,
+    })
+    if (!later) await Task.updateOne({ _id: task._id }, { $unset: { recurrenceHandled: 1 } })
+  }
+  await series.save()
+
+  if (templateFields.length > 0) {
+    await Task.updateMany(
+      { series: series._id, occurrence: { $gt: task.occurrence }, status: { $nin: RESERVED_STATUSES } },
+      { $set: values },
+    )
+  }
+}
+
+// End the series and return the task's later occurrences that are still open, for the caller to remove
+const endSeries = async (task) => {
+  await TaskSeries.updateOne({ _id: task.series }, { $set: { endedAt: new Date() } })
+  const later = await Task.find({
+    series: task.series,
+    occurrence: { $gt: task.occurrence },
+    status: { $nin: RESERVED_STATUSES },
+  })
+  return later
+}
+
+module.exports = {
+  startSeries,
+  createNextOccurrence,
+  updateFutureOccurrences,
+  endSeries,
+}
@@ -0,0 +1,10 @@
+const { sendMail } = require("../mailer")
+
+// Sends reminders through the configured mail transport
+const createEmailChannel = () => ({
+  async send(reminder) {
+    await sendMail({ to: reminder.recipient.email, subject: reminder.subject, text: reminder.text })
+  },
+})
+
+module.exports = createEmailChannel
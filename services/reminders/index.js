@@ -0,0 +1,57 @@
+const createLogChannel = require("./logChannel")
+const createEmailChannel = require("./emailChannel")
+const templates = require("./templates")
+
+// Available reminder channels, enabled through the comma-separated REMINDER_CHANNELS env value.
+// A channel exposes send(reminder).
+const channels = {
+  log: createLogChannel,
+  email: createEmailChannel,
+}
+
+let activeChannels
+
+const registerChannel = (name, factory) => {
+  channels[name] = factory
+  activeChannels = undefined
+}
+
+const getChannels = () => {
+  if (!activeChannels) {
+    const names = (process.env.REMINDER_CHANNELS || "email")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean)
+
+    activeChannels = names.map((name) => {
+      const factory = channels[name]
+
+      if (!factory) {
+        throw new Error(`Unknown reminder channel: ${name}`)
+      }
+
+      return { name, channel: factory() }
+    })
+  }
+
+  return activeChannels
+}
+
+// Build the reminder from its template and hand it to every enabled channel.
+// Returns the names of the channels used.
+const sendReminder = async ({ kind, task, recipient, leadHours }) => {
+  const template = kind === "due_soon" ? templates.dueSoon : templates.overdue
+  const reminder = {
+    kind,
+    leadHours,
+    recipient: { id: recipient._id, name: recipient.name, email: recipient.email },
+    task: { id: task._id, title: task.title, dueDate: task.dueDate, organization: task.organization },
+    ...template({ task, recipient, leadHours }),
+  }
+
+  const enabled = getChannels()
+  await Promise.all(enabled.map(({ channel }) => channel.send(reminder)))
+  return enabled.map(({ name }) => name)
+}
+
+module.exports = { registerChannel, sendReminder, templates }
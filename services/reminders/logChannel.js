@@ -0,0 +1,16 @@
+const fs = require("fs")
+const path = require("path")
+
+// Appends each reminder as a JSON line to REMINDER_LOG_PATH; useful locally and in tests
+const createLogChannel = ({ filePath = process.env.REMINDER_LOG_PATH || "./reminders.log" } = {}) => {
+  const target = path.resolve(filePath)
+
+  return {
+    async send(reminder) {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true })
+      await fs.promises.appendFile(target, JSON.stringify({ ...reminder, sentAt: new Date() }) + "\n")
+    },
+  }
+}
+
+module.exports = createLogChannel
@@ -0,0 +1,21 @@
+const frontendUrl = () => process.env.FRONTEND_URL || "http://localhost:3000"
+
+const taskUrl = (task) => `${frontendUrl()}/tasks/${task._id}`
+
+const dueSoon = ({ task, recipient, leadHours }) => ({
+  subject: `Due within ${leadHours} hour${leadHours === 1 ? "" : "s"}: ${task.title}`,
+  text:
+    `Hi ${recipient.name},\n\n` +
+    `"${task.title}" is due at ${task.dueDate.toISOString()}.\n\n` +
+    `Open the task: ${taskUrl(task)}`,
+})
+
+const overdue = ({ task, recipient }) => ({
+  subject: `Overdue: ${task.title}`,
+  text:
+    `Hi ${recipient.name},\n\n` +
+    `"${task.title}" was due at ${task.dueDate.toISOString()} and is not completed.\n\n` +
+    `Open the task: ${taskUrl(task)}`,
+})
+
+module.exports = { dueSoon, overdue }
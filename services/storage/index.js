@@ -0,0 +1,59 @@
+const createLocalDriver = require("./localDriver")
+
+// Available storage drivers, keyed by the STORAGE_DRIVER env value.
+// A driver exposes save(key, stream) -> size, createReadStream(key) and remove(key).
+const drivers = {
+  local: createLocalDriver,
+}
+
+let activeDriver
+
+const registerDriver = (name, factory) => {
+  drivers[name] = factory
+  activeDriver = undefined
+}
+
+const getStorage = () => {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || "local"
+    const factory = drivers[name]
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`)
+    }
+
+    activeDriver = factory()
+  }
+
+  return activeDriver
+}
+
+// Remove the files of attachments; failures are logged so they never block the caller
+const removeStoredFiles = async (attachments) => {
+  const storage = getStorage()
+  for (const attachment of attachments) {
+    try {
+      await storage.remove(attachment.filename)
+    } catch (error) {
+      console.error("Remove attachment file error:", error)
+    }
+  }
+}
+
+// Multer storage engine that streams uploads straight into the active driver
+const createMulterStorage = (getKey) => ({
+  _handleFile(req, file, cb) {
+    const key = getKey(req, file)
+    getStorage()
+      .save(key, file.stream)
+      .then((size) => cb(null, { filename: key, size }), cb)
+  },
+
+  _removeFile(req, file, cb) {
+    getStorage()
+      .remove(file.filename)
+      .then(() => cb(null), cb)
+  },
+})
+
+module.exports = { registerDriver, getStorage, removeStoredFiles, createMulterStorage }
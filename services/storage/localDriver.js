@@ -0,0 +1,38 @@
+const fs = require("fs")
+const path = require("path")
+const { pipeline } = require("stream/promises")
+
+// Stores files on the local filesystem under UPLOAD_PATH
+const createLocalDriver = ({ root = process.env.UPLOAD_PATH || "./uploads" } = {}) => {
+  const baseDir = path.resolve(root)
+
+  // Keys are always relative to the upload directory; refuse anything that escapes it
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key)
+    if (!filePath.startsWith(baseDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`)
+    }
+    return filePath
+  }
+
+  return {
+    async save(key, stream) {
+      const filePath = resolveKey(key)
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+      await pipeline(stream, fs.createWriteStream(filePath))
+
+      const { size } = await fs.promises.stat(filePath)
+      return size
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key))
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true })
+    },
+  }
+}
+
+module.exports = createLocalDriver
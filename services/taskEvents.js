@@ -0,0 +1,40 @@
+const { publish } = require("./events")
+const { snapshotTask, diffSnapshots } = require("./activity")
+
+const baseEvent = (task, actor) => ({
+  organization: task.organization._id || task.organization,
+  actor,
+  task,
+})
+
+const publishTaskCreated = async (task, actor) => {
+  await publish("task.created", baseEvent(task, actor))
+  if (task.assignedTo) {
+    await publish("task.assigned", { ...baseEvent(task, actor), from: null, to: task.assignedTo._id || task.assignedTo })
+  }
+}
+
+// Publish task.updated with the changed fields, plus task.assigned and task.status_changed
+// when those fields are among them. `before` is a snapshot taken with snapshotTask.
+const publishTaskUpdated = async (task, before, actor) => {
+  const changes = diffSnapshots(before, snapshotTask(task))
+  if (changes.length === 0) return
+
+  await publish("task.updated", { ...baseEvent(task, actor), changes })
+
+  const assignment = changes.find((change) => change.field === "assignedTo")
+  if (assignment?.to) {
+    await publish("task.assigned", { ...baseEvent(task, actor), from: assignment.from, to: assignment.to })
+  }
+
+  const status = changes.find((change) => change.field === "status")
+  if (status) {
+    await publish("task.status_changed", { ...baseEvent(task, actor), from: status.from, to: status.to })
+  }
+}
+
+const publishTaskDeleted = (task, actor) => publish("task.deleted", baseEvent(task, actor))
+
+const publishTaskRestored = (task, actor) => publish("task.restored", baseEvent(task, actor))
+
+module.exports = { publishTaskCreated, publishTaskUpdated, publishTaskDeleted, publishTaskRestored }
@@ -0,0 +1,140 @@
+const Task = require("../models/Task")
+const Project = require("../models/Project")
+const { getWorkflow, checkTransition, COMPLETED_STATUS } = require("../utils/workflow")
+const { getCategories, findCustomField, unknownLabels, customFieldValues } = require("../utils/taskFields")
+const { removeStoredFiles } = require("./storage")
+const { snapshotTask, recordTaskDeleted, recordTaskRestored } = require("./activity")
+const { publishTaskDeleted, publishTaskRestored } = require("./taskEvents")
+const { findOpenSubtasks, detachTask } = require("./taskRelations")
+const { createNextOccurrence, endSeries } = require("./recurrence")
+
+// Rules shared by the single-task and bulk routes. Checks return null when the change is
+// allowed, otherwise { httpStatus, message } plus any details for the response.
+const problem = (httpStatus, message, details) => ({ httpStatus, message, ...details })
+
+// Members can only change the status of tasks assigned to them
+const checkUpdatePermission = (req, task, fields) => {
+  if (req.membership.role !== "Member") return null
+
+  if (!task.assignedTo?.equals(req.user._id)) {
+    return problem(403, "Access denied")
+  }
+  if (fields.some((field) => field !== "status")) {
+    return problem(403, "Members can only update task status")
+  }
+  return null
+}
+
+// Status changes must follow the organization's workflow, and a parent cannot be completed
+// while its subtasks are open unless an admin forces it
+const checkStatusChange = async (req, task, status, { force = false } = {}) => {
+  if (status === undefined || status === task.status) return null
+
+  const workflow = getWorkflow(req.organization)
+  if (!workflow.statuses.includes(status)) {
+    return problem(400, `Unknown status: ${status}`)
+  }
+
+  const transition = checkTransition(workflow, task.status, status, req.membership.role)
+  if (transition === "undefined") {
+    return problem(400, `Transition from ${task.status} to ${status} is not allowed`)
+  }
+  if (transition === "forbidden") {
+    return problem(403, `Your role cannot move tasks from ${task.status} to ${status}`)
+  }
+
+  if (status === COMPLETED_STATUS) {
+    const openSubtasks = await findOpenSubtasks(task)
+
+    if (openSubtasks.length > 0 && force !== true) {
+      return problem(409, "Task has open subtasks", { openSubtasks })
+    }
+    if (openSubtasks.length > 0 && req.membership.role !== "Admin") {
+      return problem(403, "Only admins can complete a task with open subtasks")
+    }
+  }
+  return null
+}
+
+// Send a problem returned by one of the checks
+const sendProblem = (res, { httpStatus, ...body }) => res.status(httpStatus).json(body)
+
+// Move a task to the trash. scope=future also ends a recurring series and trashes its open
+// later occurrences; trashing a single occurrence skips it. Returns every task that was trashed.
+const deleteTask = async (task, actor, { scope = "this" } = {}) => {
+  const removed = [task]
+  if (task.series && scope === "future") {
+    removed.push(...(await endSeries(task)))
+  } else if (task.series) {
+    await createNextOccurrence(task)
+  }
+
+  const deletedAt = new Date()
+  await Task.updateMany(
+    { _id: { $in: removed.map((removedTask) => removedTask._id) } },
+    { $set: { deletedAt, deletedBy: actor._id } },
+  )
+  for (const removedTask of removed) {
+    removedTask.set({ deletedAt, deletedBy: actor._id })
+    await recordTaskDeleted(removedTask, actor)
+    await publishTaskDeleted(removedTask, actor)
+  }
+
+  return removed
+}
+
+// Values the organization stopped allowing while the task was in the trash go back to
+// defaults, or are cleared when the field is optional
+const repairRestoredTask = async (task, organization) => {
+  const workflow = getWorkflow(organization)
+  if (!workflow.statuses.includes(task.status)) task.status = workflow.initialStatus
+
+  const categories = getCategories(organization)
+  if (!categories.includes(task.category)) task.category = categories[0]
+
+  const labels = unknownLabels(organization, task.labels).map(String)
+  if (labels.length > 0) task.labels = task.labels.filter((label) => !labels.includes(label.toString()))
+
+  if (task.project && !(await Project.exists({ _id: task.project, organization: task.organization }))) {
+    task.project = undefined
+  }
+
+  for (const [key, value] of Object.entries(customFieldValues(task))) {
+    const field = findCustomField(organization, key)
+    const kept = field?.options?.length ? [value].flat().filter((option) => field.options.includes(option)) : [value]
+    if (!field || kept.length === 0) {
+      task.customFields.delete(key)
+    } else if (field.type === "multiselect" && kept.length < value.length) {
+      task.customFields.set(key, kept)
+    }
+  }
+}
+
+// Take a task out of the trash
+const restoreTask = async (task, organization, actor) => {
+  const before = snapshotTask(task)
+  await repairRestoredTask(task, organization)
+  task.deletedAt = null
+  task.deletedBy = undefined
+  await task.save()
+
+  await recordTaskRestored(task, before, actor)
+  await publishTaskRestored(task, actor)
+  return task
+}
+
+// Permanently remove a trashed task with its files and the links other tasks have to it
+const purgeTask = async (task) => {
+  await removeStoredFiles(task.attachments)
+  await detachTask(task)
+  await task.deleteOne()
+}
+
+module.exports = {
+  checkUpdatePermission,
+  checkStatusChange,
+  sendProblem,
+  deleteTask,
+  restoreTask,
+  purgeTask,
+}
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose")
+const Task = require("../models/Task")
+const { RESERVED_STATUSES } = require("../utils/workflow")
+
+// Deepest parent chain or dependency path followed when walking the task graph
+const MAX_DEPTH = 50
+
+// Fields returned for tasks that appear in a subtree or dependency graph
+const NODE_FIELDS = ["title", "status", "priority", "dueDate", "assignedTo", "createdBy", "parent", "blockedBy"]
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id))
+
+// Tasks reachable from the given tasks by repeatedly following a link, e.g. from "parent"
+// to "_id" walks up to the ancestors. The start tasks themselves are not included.
+const traverse = async (organizationId, startIds, connectFromField, connectToField) => {
+  if (startIds.length === 0) return []
+
+  const organization = toObjectId(organizationId)
+  const [result] = await Task.aggregate([
+    { $match: { _id: { $in: startIds.map(toObjectId) }, organization } },
+    {
+      $graphLookup: {
+        from: Task.collection.name,
+        startWith: `$${connectFromField}`,
+        connectFromField,
+        connectToField,
+        as: "reached",
+        maxDepth: MAX_DEPTH,
+        restrictSearchWithMatch: { organization, deletedAt: null },
+      },
+    },
+    { $unwind: "$reached" },
+    { $replaceRoot: { newRoot: "$reached" } },
+    { $group: { _id: null, tasks: { $addToSet: "$$ROOT" } } },
+  ])
+
+  return result ? result.tasks : []
+}
+
+const idsOf = (tasks) => tasks.map((task) => task._id.toString())
+
+// Returns a message when the parent cannot be used for the task, otherwise null
+const checkParent = async (task, parentId, organizationId) => {
+  if (task && String(parentId) === task._id.toString()) return "A task cannot be its own parent"
+
+  const parent = await Task.exists({ _id: parentId, organization: organizationId })
+  if (!parent) return "Parent task not found"
+
+  if (task) {
+    const ancestors = idsOf(await traverse(organizationId, [parentId], "parent", "_id"))
+    if (ancestors.includes(task._id.toString())) {
+      return "Parent would create a cycle: the task is an ancestor of the new parent"
+    }
+  }
+  return null
+}
+
+// Returns a message when the task cannot be blocked by these tasks, otherwise null
+const checkBlockers = async (task, blockerIds, organizationId) => {
+  const ids = [...new Set(blockerIds.map(String))]
+  if (task && ids.includes(task._id.toString())) return "A task cannot block itself"
+
+  const found = await Task.countDocuments({ _id: { $in: ids }, organization: organizationId })
+  if (found !== ids.length) return "Blocking task not found"
+
+  if (task) {
+    const upstream = idsOf(await traverse(organizationId, ids, "blockedBy", "_id"))
+    if (upstream.includes(task._id.toString())) {
+      return "Dependency would create a cycle: the task already blocks one of these tasks"
+    }
+  }
+  return null
+}
+
+// Direct subtasks that are neither completed nor expired
+const findOpenSubtasks = (task) =>
+  Task.find({ parent: task._id, organization: task.organization, status: { $nin: RESERVED_STATUSES } }).select(
+    "title status",
+  )
+
+const toNode = (task) => ({
+  _id: task._id,
+  ...Object.fromEntries(NODE_FIELDS.map((field) => [field, task[field] ?? null])),
+})
+
+// Nested tree of the task's descendants. Tasks hidden from the viewer are left out with their subtrees.
+const loadSubtree = async (task, canView) => {
+  const descendants = (await traverse(task.organization, [task._id], "_id", "parent")).filter(canView)
+  const childrenOf = (parentId) =>
+    descendants
+      .filter((child) => child.parent?.toString() === parentId.toString())
+      .sort((a, b) => a._id.toString().localeCompare(b._id.toString()))
+      .map((child) => ({ ...toNode(child), subtasks: childrenOf(child._id) }))
+
+  return childrenOf(task._id)
+}
+
+// Every task the task transitively depends on or blocks, as nodes and "from blocks to" edges
+const loadDependencyGraph = async (task, canView) => {
+  const [upstream, downstream] = await Promise.all([
+    traverse(task.organization, [task._id], "blockedBy", "_id"),
+    traverse(task.organization, [task._id], "_id", "blockedBy"),
+  ])
+
+  const nodes = new Map([[task._id.toString(), task.toObject({ depopulate: true })]])
+  for (const node of [...upstream, ...downstream].filter(canView)) {
+    nodes.set(node._id.toString(), node)
+  }
+
+  const edges = []
+  for (const [id, node] of nodes) {
+    for (const blocker of node.blockedBy || []) {
+      if (nodes.has(blocker.toString())) edges.push({ from: blocker.toString(), to: id })
+    }
+  }
+
+  return { nodes: [...nodes.values()].map(toNode), edges }
+}
+
+// Drop links to a task that is going away, including links from tasks in the trash
+const detachTask = async (task) => {
+  const options = { withDeleted: true }
+  const { organization } = task
+  await Task.updateMany({ organization, parent: task._id }, { $unset: { parent: 1 } }).setOptions(options)
+  await Task.updateMany({ organization, blockedBy: task._id }, { $pull: { blockedBy: task._id } }).setOptions(options)
+}
+
+module.exports = {
+  checkParent,
+  checkBlockers,
+  findOpenSubtasks,
+  loadSubtree,
+  loadDependencyGraph,
+  detachTask,
+}
@@ -0,0 +1,272 @@
+const Task = require("../models/Task")
+const Membership = require("../models/Membership")
+const Project = require("../models/Project")
+const { parseCsvRecords, toCsvRow } = require("../utils/csv")
+const { getWorkflow } = require("../utils/workflow")
+const { TASK_PRIORITIES } = require("../utils/taskFilters")
+const {
+  getCategories,
+  getCustomFields,
+  findCustomField,
+  resolveCustomFields,
+  missingRequiredFields,
+  customFieldValues,
+} = require("../utils/taskFields")
+
+// Columns that can be imported. An export has the same names, so it imports without a mapping.
+const IMPORT_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "category",
+  "dueDate",
+  "assignee",
+  "project",
+  "labels",
+]
+// Task paths the import checks itself, so schema errors for them would only repeat its messages
+const CHECKED_PATHS = ["status", "priority", "category", "dueDate", "assignedTo", "project", "labels", "customFields"]
+const CUSTOM_FIELD_PREFIX = "cf."
+const MAX_IMPORT_ROWS = 5000
+
+const EXPORT_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "status",
+  "priority",
+  "category",
+  "dueDate",
+  "assignee",
+  "project",
+  "labels",
+  "parent",
+  "createdBy",
+  "createdAt",
+  "updatedAt",
+  "completedAt",
+]
+
+// Lists are written as "a, b" and may be given that way or as JSON arrays
+const listOf = (value) =>
+  (Array.isArray(value) ? value : String(value).split(",")).map((item) => String(item).trim()).filter(Boolean)
+
+const labelNames = (organization, labelIds = []) =>
+  labelIds
+    .map((id) => (organization.labels || []).find((label) => label._id.equals(id))?.name)
+    .filter(Boolean)
+
+const exportColumns = (organization) => [
+  ...EXPORT_COLUMNS,
+  ...getCustomFields(organization).map((field) => `${CUSTOM_FIELD_PREFIX}${field.key}`),
+]
+
+// CSV row for a task with assignedTo, createdBy and project populated
+const taskCsvRow = (organization, task) => {
+  const values = customFieldValues(task)
+  return toCsvRow([
+    String(task._id),
+    task.title,
+    task.description,
+    task.status,
+    task.priority,
+    task.category,
+    task.dueDate,
+    task.assignedTo?.email,
+    task.project?.name,
+    labelNames(organization, task.labels).join(", "),
+    task.parent && String(task.parent),
+    task.createdBy?.email,
+    task.createdAt,
+    task.updatedAt,
+    task.completedAt,
+    ...getCustomFields(organization).map(({ key }) => [values[key]].flat().join(", ")),
+  ])
+}
+
+// Rows of an uploaded CSV, JSON array or NDJSON file; throws when the file cannot be read
+const readImportFile = (file) => {
+  const text = file.buffer.toString("utf8")
+  const name = file.originalname.toLowerCase()
+
+  if (name.endsWith(".csv") || file.mimetype === "text/csv") {
+    return parseCsvRecords(text).records
+  }
+  if (name.endsWith(".ndjson") || name.endsWith(".jsonl")) {
+    return text
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .map((line, index) => {
+        try {
+          return JSON.parse(line)
+        } catch {
+          throw new Error(`Line ${index + 1} is not valid JSON`)
+        }
+      })
+  }
+  if (name.endsWith(".json") || file.mimetype === "application/json") {
+    const rows = JSON.parse(text)
+    if (!Array.isArray(rows)) throw new Error("JSON imports must be an array of objects")
+    return rows
+  }
+  throw new Error("Unsupported file type; upload a .csv, .json or .ndjson file")
+}
+
+// Map each import field to a column. Columns named like a field are used unless the mapping
+// says otherwise; mapping a field to null skips it. Returns { mapping, problems }.
+const resolveImportMapping = (organization, columns, requested = {}) => {
+  const fields = [
+    ...IMPORT_FIELDS,
+    ...getCustomFields(organization).map((field) => `${CUSTOM_FIELD_PREFIX}${field.key}`),
+  ]
+  const problems = Object.keys(requested)
+    .filter((field) => !fields.includes(field))
+    .map((field) => `Unknown import field: ${field}`)
+
+  const mapping = {}
+  for (const field of fields) {
+    const column =
+      field in requested
+        ? requested[field]
+        : columns.find((candidate) => candidate.toLowerCase() === field.toLowerCase())
+
+    if (column === null || column === undefined) continue
+    if (!columns.includes(column)) {
+      problems.push(`Column "${column}" mapped to ${field} is not in the import`)
+    } else {
+      mapping[field] = column
+    }
+  }
+
+  if (!mapping.title) problems.push("No column is mapped to title")
+  return { mapping, problems }
+}
+
+// Case-insensitive lookup of one of the allowed values
+const matchOne = (allowed, value) => allowed.find((item) => item.toLowerCase() === value.toLowerCase())
+
+// Everything a row can refer to, loaded once per import
+const loadImportContext = async (req) => {
+  const [memberships, projects] = await Promise.all([
+    Membership.find({ organization: req.organizationId, isActive: true }).populate("user", "email isActive"),
+    Project.find({ organization: req.organizationId, archived: false }).select("name"),
+  ])
+
+  return {
+    organization: req.organization,
+    workflow: getWorkflow(req.organization),
+    categories: getCategories(req.organization),
+    members: new Map(
+      memberships
+        .filter((membership) => membership.user?.isActive)
+        .map(({ user }) => [user.email.toLowerCase(), user._id]),
+    ),
+    projects: new Map(projects.map((project) => [project.name.toLowerCase(), project._id])),
+    labels: new Map((req.organization.labels || []).map((label) => [label.name.toLowerCase(), label._id])),
+  }
+}
+
+// Build the task for one row. Returns { task, preview } or { errors }; the task is validated
+// but not saved, and the preview shows it as the report presents it.
+const buildImportedTask = async (req, context, row, mapping) => {
+  const errors = []
+  const read = (field) => {
+    const value = mapping[field] === undefined ? undefined : row[mapping[field]]
+    if (value === undefined || value === null) return undefined
+    return typeof value === "string" ? value.trim() || undefined : value
+  }
+  const text = (field) => (read(field) === undefined ? undefined : String(read(field)))
+
+  const task = new Task({
+    title: text("title"),
+    description: text("description"),
+    createdBy: req.user._id,
+    organization: req.organizationId,
+  })
+
+  const status = text("status")
+  task.status = status ? matchOne(context.workflow.statuses, status) : context.workflow.initialStatus
+  if (!task.status) errors.push(`Unknown status: ${status}`)
+
+  const priority = text("priority")
+  task.priority = priority ? matchOne(TASK_PRIORITIES, priority) : "Medium"
+  if (!task.priority) errors.push(`priority must be one of: ${TASK_PRIORITIES.join(", ")}`)
+
+  const category = text("category")
+  task.category = category && matchOne(context.categories, category)
+  if (!task.category) errors.push(`category must be one of: ${context.categories.join(", ")}`)
+
+  const dueDate = text("dueDate")
+  if (dueDate && Number.isNaN(new Date(dueDate).getTime())) {
+    errors.push(`Invalid dueDate: ${dueDate}`)
+  } else if (dueDate) {
+    task.dueDate = new Date(dueDate)
+  }
+
+  const assignee = text("assignee")
+  if (assignee) {
+    task.assignedTo = context.members.get(assignee.toLowerCase())
+    if (!task.assignedTo) errors.push(`Assignee is not a member of the organization: ${assignee}`)
+  }
+
+  const project = text("project")
+  if (project) {
+    task.project = context.projects.get(project.toLowerCase())
+    if (!task.project) errors.push(`Unknown or archived project: ${project}`)
+  }
+
+  const labels = read("labels") === undefined ? [] : listOf(read("labels"))
+  const unknownLabels = labels.filter((name) => !context.labels.has(name.toLowerCase()))
+  if (unknownLabels.length > 0) errors.push(`Unknown labels: ${unknownLabels.join(", ")}`)
+  task.labels = [...new Set(labels.map((name) => context.labels.get(name.toLowerCase())).filter(Boolean))]
+
+  // Custom field columns hold text; multiselect values are comma-separated
+  const input = {}
+  for (const field of Object.keys(mapping).filter((key) => key.startsWith(CUSTOM_FIELD_PREFIX))) {
+    const key = field.slice(CUSTOM_FIELD_PREFIX.length)
+    const value = read(field)
+    if (value === undefined) continue
+    input[key] = findCustomField(context.organization, key).type === "multiselect" ? listOf(value) : value
+  }
+  const { values, problems } = resolveCustomFields(context.organization, input)
+  const missing = missingRequiredFields(context.organization, values).filter((key) => !(key in input))
+  if (missing.length > 0) problems.push(`Missing required custom fields: ${missing.join(", ")}`)
+  errors.push(...problems)
+  if (Object.keys(values).length > 0) task.customFields = values
+
+  // Whatever else the schema rejects, e.g. a missing or overlong title
+  try {
+    await task.validate()
+  } catch (error) {
+    if (!error.errors) throw error
+    const schemaErrors = Object.entries(error.errors).filter(([path]) => !CHECKED_PATHS.includes(path.split(".")[0]))
+    errors.push(...schemaErrors.map(([, fieldError]) => fieldError.message))
+  }
+
+  if (errors.length > 0) return { errors: [...new Set(errors)] }
+
+  const preview = {
+    title: task.title,
+    status: task.status,
+    priority: task.priority,
+    category: task.category,
+    dueDate: task.dueDate,
+    assignee: assignee?.toLowerCase(),
+    project,
+    labels: labelNames(context.organization, task.labels),
+    customFields: customFieldValues(task),
+  }
+  return { task, preview }
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  exportColumns,
+  taskCsvRow,
+  readImportFile,
+  resolveImportMapping,
+  loadImportContext,
+  buildImportedTask,
+}
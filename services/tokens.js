@@ -0,0 +1,104 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const RefreshToken = require("../models/RefreshToken")
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES || "15m"
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// Access tokens carry the user's token version so bumping it revokes them all at once,
+// and optionally the organization the session is working in
+const signAccessToken = (user, organizationId) => {
+  const payload = { userId: user._id, tv: user.tokenVersion || 0 }
+  if (organizationId) payload.org = organizationId.toString()
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL })
+}
+
+const createRefreshToken = async (user, req, { family = crypto.randomUUID(), organizationId } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex")
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    organization: organizationId,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get("User-Agent"),
+  })
+
+  return { refreshToken, record }
+}
+
+// Issue a fresh access/refresh token pair for a new session
+const issueTokens = async (user, req, organizationId) => {
+  const { refreshToken } = await createRefreshToken(user, req, { organizationId })
+  return { token: signAccessToken(user, organizationId), refreshToken }
+}
+
+const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { $set: { revokedAt: new Date() } })
+
+// Exchange a refresh token for a new pair. Returns null when the token cannot be used.
+// Presenting a token that was already rotated revokes every token in its family.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) })
+  if (!current) return null
+
+  const reuseDetected = async () => {
+    console.warn(`Refresh token reuse detected for user ${current.user}, revoking family ${current.family}`)
+    await revokeFamily(current.family)
+    return null
+  }
+
+  if (current.replacedBy) return reuseDetected()
+  if (current.revokedAt || current.expiresAt <= new Date()) return null
+
+  const user = await User.findById(current.user)
+  if (!user || !user.isActive) {
+    await revokeFamily(current.family)
+    return null
+  }
+
+  // The successor is created first and the token is revoked and linked to it in a single update.
+  // Only one concurrent request can win that update; the others count as reuse, and revoking
+  // the family then also covers the successor.
+  const { refreshToken: nextToken, record } = await createRefreshToken(user, req, {
+    family: current.family,
+    organizationId: current.organization,
+  })
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: current._id, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), replacedBy: record._id } },
+  )
+  if (!rotated) return reuseDetected()
+
+  return { user, token: signAccessToken(user, current.organization), refreshToken: nextToken }
+}
+
+// Revoke the session a refresh token belongs to
+const revokeRefreshToken = async (refreshToken) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) })
+  if (!record) return false
+
+  await revokeFamily(record.family)
+  return true
+}
+
+// End every session of a user: refresh tokens are revoked and outstanding access tokens stop verifying
+const revokeAllSessions = async (userId) => {
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } })
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+}
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+}
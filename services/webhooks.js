@@ -0,0 +1,245 @@
+const crypto = require("crypto")
+const dns = require("dns").promises
+const http = require("http")
+const https = require("https")
+const net = require("net")
+const Webhook = require("../models/Webhook")
+const WebhookDelivery = require("../models/WebhookDelivery")
+const { subscribe, serializeEvent } = require("./events")
+
+const TIMEOUT = Number.parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000
+// Attempts per delivery before it is marked failed; retries wait 30s, 1m, 2m, ... up to about an hour
+const MAX_ATTEMPTS = 8
+const RETRY_BASE_DELAY = 30 * 1000
+// A claimed delivery is left alone by other senders for this long
+const CLAIM_TTL = TIMEOUT + 60 * 1000
+// Characters of the response body kept in the delivery log
+const RESPONSE_LIMIT = 1000
+
+// Loopback, private, link-local (cloud metadata) and other non-public ranges
+const INTERNAL_ADDRESSES = new net.BlockList()
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, "ipv4")
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, "ipv6")
+}
+
+const isInternalAddress = (address, family) => {
+  // IPv4-mapped IPv6 addresses, e.g. ::ffff:127.0.0.1
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+  if (mapped) return INTERNAL_ADDRESSES.check(mapped[1], "ipv4")
+  return INTERNAL_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+}
+
+// Webhooks must not reach internal services; WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this for
+// local development and tests
+const allowsPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true"
+
+// Addresses of a webhook host; throws when it cannot be resolved or resolves to an internal address
+const resolveWebhookHost = async (hostname) => {
+  let addresses
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true })
+  } catch {
+    throw new Error(`Cannot resolve webhook host ${hostname}`)
+  }
+  if (!allowsPrivateUrls() && addresses.some(({ address, family }) => isInternalAddress(address, family))) {
+    throw new Error("Webhook URLs cannot point to loopback, private or link-local addresses")
+  }
+  return addresses
+}
+
+// Returns a message when the URL's host is internal or cannot be resolved, otherwise null
+const checkWebhookUrl = async (url) => {
+  if (allowsPrivateUrls()) return null
+
+  try {
+    await resolveWebhookHost(new URL(url).hostname.replace(/^\[|\]$/g, ""))
+    return null
+  } catch (error) {
+    return error.message
+  }
+}
+
+// dns.lookup for delivery requests: the addresses that pass the check are the ones connected to,
+// so a host cannot resolve to a public address for the check and an internal one for the request
+const checkedLookup = (hostname, options, callback) => {
+  resolveWebhookHost(hostname).then((addresses) => {
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  }, callback)
+}
+
+// POST the body; resolves with the status and the start of the response body. Redirects are not followed.
+const post = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url)
+    const signal = AbortSignal.timeout(TIMEOUT)
+    const fail = (error) => reject(signal.aborted ? signal.reason : error)
+
+    const client = target.protocol === "https:" ? https : http
+    const options = {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: checkedLookup,
+      signal,
+    }
+    const request = client.request(target, options, (response) => {
+      let text = ""
+      response.setEncoding("utf8")
+      response.on("data", (chunk) => {
+        if (text.length < RESPONSE_LIMIT) text += chunk
+      })
+      response.on("end", () => resolve({ status: response.statusCode, text }))
+      response.on("error", fail)
+    })
+    request.on("error", fail)
+    request.end(body)
+  })
+
+const idOf = (value) => (value?._id || value)?.toString()
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>"; receivers recompute it to verify a delivery
+const sign = (secret, timestamp, body) => crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+
+const retryDelay = (attempts) => RETRY_BASE_DELAY * 2 ** (attempts - 1)
+
+const claimUntil = () => new Date(Date.now() + CLAIM_TTL)
+
+// POST the delivery to the webhook and record the outcome. Failed attempts are scheduled
+// for a retry with exponential backoff until MAX_ATTEMPTS is reached.
+const sendDelivery = async (delivery, webhook) => {
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+  const started = Date.now()
+  let succeeded = false
+
+  delivery.attempts += 1
+  delivery.lastAttemptAt = new Date()
+  try {
+    // Checked again on every attempt, since the host may resolve differently now. IP literals are
+    // only checked here; hostnames are checked again by the lookup the request connects with.
+    const urlProblem = await checkWebhookUrl(webhook.url)
+    if (urlProblem) throw new Error(urlProblem)
+
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": "task-platform-webhooks",
+      "X-Webhook-Id": webhook._id.toString(),
+      "X-Webhook-Delivery": delivery._id.toString(),
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Signature": `t=${timestamp},v1=${sign(webhook.secret, timestamp, body)}`,
+    }
+    const response = await post(webhook.url, headers, body)
+    delivery.responseStatus = response.status
+    delivery.responseBody = response.text.slice(0, RESPONSE_LIMIT)
+    delivery.error = undefined
+    succeeded = response.status >= 200 && response.status < 300
+  } catch (error) {
+    delivery.responseStatus = undefined
+    delivery.responseBody = undefined
+    delivery.error = error.name === "TimeoutError" ? `Timed out after ${TIMEOUT} ms` : error.message
+  }
+  delivery.durationMs = Date.now() - started
+
+  if (succeeded) {
+    delivery.status = "succeeded"
+    delivery.nextAttemptAt = undefined
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = "failed"
+    delivery.nextAttemptAt = undefined
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts))
+  }
+
+  await delivery.save()
+  return delivery
+}
+
+// Send a claimed delivery, failing it when its webhook was deleted or disabled in the meantime
+const deliver = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret")
+  if (!webhook?.active) {
+    delivery.status = "failed"
+    delivery.nextAttemptAt = undefined
+    delivery.error = "Webhook was deleted or disabled"
+    await delivery.save()
+    return delivery
+  }
+  return sendDelivery(delivery, webhook)
+}
+
+// Claim the next pending delivery whose retry is due, so concurrent senders skip it
+const claimDueDelivery = (now = new Date()) =>
+  WebhookDelivery.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: claimUntil() } },
+    { new: true, sort: { nextAttemptAt: 1 } },
+  )
+
+// Send the payload of an earlier delivery again as a new delivery
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    organization: delivery.organization,
+    event: delivery.event,
+    payload: delivery.payload,
+    nextAttemptAt: claimUntil(),
+    redeliveryOf: delivery._id,
+  })
+  return deliver(copy)
+}
+
+// Queue a delivery for every active webhook subscribed to the event and send them right away.
+// Sending happens in the background so slow endpoints do not hold up the change itself;
+// anything that fails is picked up by the webhookDeliveries job.
+subscribe("*", async (event) => {
+  const webhooks = await Webhook.find({
+    organization: idOf(event.organization),
+    active: true,
+    events: { $in: [event.type, "*"] },
+  }).select("+secret")
+  if (webhooks.length === 0) return
+
+  const payload = serializeEvent(event)
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map((webhook) => ({
+      webhook: webhook._id,
+      organization: webhook.organization,
+      event: event.type,
+      payload,
+      nextAttemptAt: claimUntil(),
+    })),
+  )
+
+  deliveries.forEach((delivery, index) => {
+    sendDelivery(delivery, webhooks[index]).catch((error) => console.error("Webhook delivery error:", error))
+  })
+})
+
+module.exports = {
+  MAX_ATTEMPTS,
+  generateSecret,
+  sign,
+  checkWebhookUrl,
+  deliver,
+  claimDueDelivery,
+  redeliver,
+}
@@ -0,0 +1,101 @@
+const request = require("supertest")
+const mongoose = require("mongoose")
+const app = require("../server")
+const User = require("../models/User")
+const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
+const Task = require("../models/Task")
+const JobRun = require("../models/JobRun")
+const JobLock = require("../models/JobLock")
+
+process.env.PLATFORM_ADMIN_EMAILS = "admin@example.com"
+
+describe("Admin Job Endpoints", () => {
+  let adminToken, adminUser, organization
+
+  beforeAll(async () => {
+    const mongoUri = process.env.MONGODB_URI || "mongodb://localhost:27017/task-platform-test"
+    await mongoose.connect(mongoUri)
+  })
+
+  beforeEach(async () => {
+    // Clean up database
+    await User.deleteMany({})
+    await Organization.deleteMany({})
+    await Membership.deleteMany({})
+    await Task.deleteMany({})
+    await JobRun.deleteMany({})
+    await JobLock.deleteMany({})
+
+    const response = await request(app).post("/api/auth/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "password123",
+      organizationName: "Test Company",
+    })
+
+    adminToken = response.body.token
+    adminUser = await User.findOne({ email: "admin@example.com" })
+    organization = await Organization.findById(response.body.user.organization.id)
+  })
+
+  afterAll(async () => {
+    await mongoose.connection.close()
+  })
+
+  it("should list registered jobs", async () => {
+    const response = await request(app).get("/api/admin/jobs").set("Authorization", `Bearer ${adminToken}`).expect(200)
+
+    const job = response.body.find((entry) => entry.name === "taskExpiration")
+    expect(job.schedule).toBe("0 * * * *")
+    expect(job.lastRuns).toEqual([])
+  })
+
+  it("should run a job manually and record the run", async () => {
+    await Task.create({
+      title: "Overdue",
+      category: "Bug",
+      dueDate: new Date(Date.now() - 60 * 1000),
+      createdBy: adminUser._id,
+      organization: organization._id,
+    })
+
+    const response = await request(app)
+      .post("/api/admin/jobs/taskExpiration/run")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200)
+
+    expect(response.body.status).toBe("succeeded")
+    expect(response.body.trigger).toBe("manual")
+    expect(response.body.affected).toBe(1)
+    expect(await Task.countDocuments({ status: "Expired" })).toBe(1)
+  })
+
+  it("should not run a job while another instance holds the lock", async () => {
+    await JobLock.create({ _id: "taskExpiration", lockedBy: "other-instance", lockedUntil: new Date(Date.now() + 60000) })
+
+    await request(app)
+      .post("/api/admin/jobs/taskExpiration/run")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(409)
+  })
+
+  it("should return 404 for unknown jobs", async () => {
+    await request(app).post("/api/admin/jobs/nope/run").set("Authorization", `Bearer ${adminToken}`).expect(404)
+  })
+
+  it("should not let organization admins outside the allowlist see jobs", async () => {
+    const response = await request(app).post("/api/auth/register").send({
+      name: "Tenant Admin",
+      email: "tenant@example.com",
+      password: "password123",
+      organizationName: "Other Company",
+    })
+
+    await request(app).get("/api/admin/jobs").set("Authorization", `Bearer ${response.body.token}`).expect(403)
+    await request(app)
+      .post("/api/admin/jobs/taskExpiration/run")
+      .set("Authorization", `Bearer ${response.body.token}`)
+      .expect(403)
+  })
+})
@@ -3,6 +3,14 @@ const mongoose = require("mongoose")
 const app = require("../server")
 const User = require("../models/User")
 const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
+const RefreshToken = require("../models/RefreshToken")
+const { registerTransport } = require("../services/mailer")
+
+// Capture outgoing mail instead of printing it
+const sentMail = []
+registerTransport("test", () => ({ send: async (message) => sentMail.push(message) }))
+process.env.MAIL_TRANSPORT = "test"
 
 describe("Authentication Endpoints", () => {
   beforeAll(async () => {
@@ -15,6 +23,8 @@ describe("Authentication Endpoints", () => {
     // Clean up database before each test
     await User.deleteMany({})
     await Organization.deleteMany({})
+    await Membership.deleteMany({})
+    await RefreshToken.deleteMany({})
   })
 
   afterAll(async () => {
@@ -185,4 +195,107 @@ describe("Authentication Endpoints", () => {
       await request(app).get("/api/auth/me").set("Authorization", "Bearer invalid-token").expect(401)
     })
   })
+
+  describe("Refresh tokens", () => {
+    let tokens
+
+    beforeEach(async () => {
+      const response = await request(app).post("/api/auth/register").send({
+        name: "John Doe",
+        email: "john@example.com",
+        password: "password123",
+        organizationName: "Test Company",
+      })
+
+      tokens = response.body
+    })
+
+    it("should rotate the refresh token", async () => {
+      const response = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200)
+
+      expect(response.body).toHaveProperty("token")
+      expect(response.body.refreshToken).not.toBe(tokens.refreshToken)
+    })
+
+    it("should revoke the whole family when a refresh token is replayed", async () => {
+      const rotated = await request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken }).expect(200)
+
+      await request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken }).expect(401)
+      await request(app).post("/api/auth/refresh").send({ refreshToken: rotated.body.refreshToken }).expect(401)
+    })
+
+    it("should treat concurrent refreshes with the same token as reuse", async () => {
+      const responses = await Promise.all(
+        [1, 2].map(() => request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken })),
+      )
+
+      // Whichever request won, its new token was revoked along with the family
+      for (const response of responses.filter((response) => response.status === 200)) {
+        await request(app).post("/api/auth/refresh").send({ refreshToken: response.body.refreshToken }).expect(401)
+      }
+      expect(responses.some((response) => response.status === 401)).toBe(true)
+      expect(await RefreshToken.countDocuments({ revokedAt: null })).toBe(0)
+    })
+
+    it("should not refresh after logout", async () => {
+      await request(app).post("/api/auth/logout").send({ refreshToken: tokens.refreshToken }).expect(200)
+
+      await request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken }).expect(401)
+    })
+
+    it("should end every session on logout-all", async () => {
+      await request(app).post("/api/auth/logout-all").set("Authorization", `Bearer ${tokens.token}`).expect(200)
+
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${tokens.token}`).expect(401)
+      await request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken }).expect(401)
+    })
+  })
+
+  describe("Password reset", () => {
+    let tokens
+
+    beforeEach(async () => {
+      sentMail.length = 0
+
+      const response = await request(app).post("/api/auth/register").send({
+        name: "John Doe",
+        email: "john@example.com",
+        password: "password123",
+        organizationName: "Test Company",
+      })
+
+      tokens = response.body
+    })
+
+    const requestResetToken = async () => {
+      await request(app).post("/api/auth/forgot-password").send({ email: "john@example.com" }).expect(200)
+      return sentMail[sentMail.length - 1].text.match(/token=([a-f0-9]+)/)[1]
+    }
+
+    it("should not reveal whether an account exists", async () => {
+      await request(app).post("/api/auth/forgot-password").send({ email: "nobody@example.com" }).expect(200)
+
+      expect(sentMail).toHaveLength(0)
+    })
+
+    it("should reset the password and end existing sessions", async () => {
+      const resetToken = await requestResetToken()
+
+      await request(app).post("/api/auth/reset-password").send({ token: resetToken, password: "newpassword" }).expect(200)
+
+      await request(app).get("/api/auth/me").set("Authorization", `Bearer ${tokens.token}`).expect(401)
+      await request(app).post("/api/auth/refresh").send({ refreshToken: tokens.refreshToken }).expect(401)
+      await request(app).post("/api/auth/login").send({ email: "john@example.com", password: "newpassword" }).expect(200)
+    })
+
+    it("should not accept a reset token twice", async () => {
+      const resetToken = await requestResetToken()
+
+      await request(app).post("/api/auth/reset-password").send({ token: resetToken, password: "newpassword" }).expect(200)
+      await request(app).post("/api/auth/reset-password").send({ token: resetToken, password: "another" }).expect(400)
+    })
+  })
 })
@@ -0,0 +1,196 @@
+const http = require("http")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const app = require("../server")
+const User = require("../models/User")
+const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
+const Task = require("../models/Task")
+
+const waitFor = async (check, timeout = 5000) => {
+  const started = Date.now()
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error("Timed out waiting for stream events")
+    await new Promise((resolve) => setTimeout(resolve, 25))
+  }
+}
+
+describe("Event stream", () => {
+  let server, baseUrl, adminToken, memberToken, otherToken, adminUser, memberUser
+  let streams = []
+
+  // Open a stream and collect its events as { type, data }
+  const openStream = (path, headers = {}) =>
+    new Promise((resolve, reject) => {
+      const req = http.get(`${baseUrl}${path}`, { headers }, (res) => {
+        const stream = { status: res.statusCode, events: [], ended: false, close: () => req.destroy() }
+        let buffer = ""
+        res.setEncoding("utf8")
+        res.on("data", (chunk) => {
+          buffer += chunk
+          let end
+          while ((end = buffer.indexOf("\n\n")) >= 0) {
+            const block = buffer.slice(0, end)
+            buffer = buffer.slice(end + 2)
+            const type = block.match(/^event: (.+)$/m)?.[1]
+            if (type) stream.events.push({ type, data: JSON.parse(block.match(/^data: (.+)$/m)[1]) })
+          }
+        })
+        res.on("end", () => (stream.ended = true))
+        streams.push(stream)
+        resolve(stream)
+      })
+      req.on("error", reject)
+    })
+
+  const openReadyStream = async (token) => {
+    const stream = await openStream(`/api/events?access_token=${token}`)
+    await waitFor(() => stream.events.some((event) => event.type === "ready"))
+    return stream
+  }
+
+  const typesOf = (stream) => stream.events.map((event) => event.type).filter((type) => type !== "ready")
+
+  beforeAll(async () => {
+    const mongoUri = process.env.MONGODB_URI || "mongodb://localhost:27017/task-platform-test"
+    await mongoose.connect(mongoUri)
+
+    server = app.listen(0)
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  beforeEach(async () => {
+    // Clean up database
+    await User.deleteMany({})
+    await Organization.deleteMany({})
+    await Membership.deleteMany({})
+    await Task.deleteMany({})
+
+    const response = await request(app).post("/api/auth/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "password123",
+      organizationName: "Test Company",
+    })
+    adminToken = response.body.token
+    adminUser = await User.findOne({ email: "admin@example.com" })
+    const organization = await Organization.findById(response.body.user.organization.id)
+
+    memberUser = await User.create({
+      name: "Member User",
+      email: "member@example.com",
+      password: "password123",
+      organization: organization._id,
+      role: "Member",
+    })
+    await Membership.create({ user: memberUser._id, organization: organization._id, role: "Member" })
+
+    const memberLogin = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "member@example.com", password: "password123" })
+    memberToken = memberLogin.body.token
+
+    const other = await request(app).post("/api/auth/register").send({
+      name: "Other Admin",
+      email: "other@example.com",
+      password: "password123",
+      organizationName: "Other Company",
+    })
+    otherToken = other.body.token
+  })
+
+  afterEach(() => {
+    streams.forEach((stream) => stream.close())
+    streams = []
+  })
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve))
+    await mongoose.connection.close()
+  })
+
+  const createTask = (token, fields = {}) =>
+    request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ title: "Live task", category: "Feature", ...fields })
+      .expect(201)
+
+  it("should require a valid token", async () => {
+    expect((await openStream("/api/events")).status).toBe(401)
+    expect((await openStream("/api/events?access_token=invalid")).status).toBe(401)
+  })
+
+  it("should accept the token in the Authorization header", async () => {
+    const stream = await openStream("/api/events", { Authorization: `Bearer ${adminToken}` })
+    expect(stream.status).toBe(200)
+  })
+
+  it("should stream task changes and comments", async () => {
+    const stream = await openReadyStream(adminToken)
+
+    const task = await createTask(adminToken)
+    await request(app)
+      .put(`/api/tasks/${task.body._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ title: "Renamed" })
+      .expect(200)
+    await request(app)
+      .post(`/api/tasks/${task.body._id}/comments`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ text: "Looks good" })
+      .expect(201)
+    await request(app).delete(`/api/tasks/${task.body._id}`).set("Authorization", `Bearer ${adminToken}`).expect(200)
+
+    await waitFor(() => typesOf(stream).length === 4)
+    expect(typesOf(stream)).toEqual(["task.created", "task.updated", "task.commented", "task.deleted"])
+    expect(stream.events[2].data).toMatchObject({
+      data: { task: { title: "Renamed" }, changes: [{ field: "title", from: "Live task", to: "Renamed" }] },
+    })
+  })
+
+  it("should keep organizations apart", async () => {
+    const stream = await openReadyStream(otherToken)
+
+    await createTask(adminToken)
+    await createTask(otherToken, { title: "Own task" })
+
+    await waitFor(() => typesOf(stream).length === 1)
+    expect(stream.events[1].data.data.task.title).toBe("Own task")
+  })
+
+  it("should only send members the tasks they can see", async () => {
+    const stream = await openReadyStream(memberToken)
+
+    await createTask(adminToken, { title: "Not yours" })
+    const task = await createTask(adminToken, { title: "Yours", assignedTo: memberUser._id })
+    await request(app)
+      .put(`/api/tasks/${task.body._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ assignedTo: adminUser._id })
+      .expect(200)
+
+    await waitFor(() => typesOf(stream).length === 2)
+    expect(typesOf(stream)).toEqual(["task.created", "task.removed"])
+    expect(stream.events[1].data.data.task.title).toBe("Yours")
+    expect(stream.events[2].data.data.taskId).toBe(task.body._id)
+  })
+
+  it("should broadcast member changes and close removed members' streams", async () => {
+    const adminStream = await openReadyStream(adminToken)
+    const memberStream = await openReadyStream(memberToken)
+
+    await request(app)
+      .delete(`/api/organizations/members/${memberUser._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200)
+
+    await waitFor(() => memberStream.ended)
+    await waitFor(() => typesOf(adminStream).length === 1)
+    expect(adminStream.events[1].data).toMatchObject({
+      type: "member.removed",
+      data: { user: { email: "member@example.com" }, role: "Member" },
+    })
+    expect(typesOf(memberStream)).toEqual([])
+  })
+})
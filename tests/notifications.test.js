@@ -0,0 +1,168 @@
+const request = require("supertest")
+const mongoose = require("mongoose")
+const app = require("../server")
+const User = require("../models/User")
+const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
+const Task = require("../models/Task")
+const Notification = require("../models/Notification")
+const taskExpiration = require("../jobs/taskExpiration")
+
+describe("Notification Endpoints", () => {
+  let adminToken, memberToken, adminUser, memberUser, organization
+
+  beforeAll(async () => {
+    const mongoUri = process.env.MONGODB_URI || "mongodb://localhost:27017/task-platform-test"
+    await mongoose.connect(mongoUri)
+  })
+
+  beforeEach(async () => {
+    // Clean up database
+    await User.deleteMany({})
+    await Organization.deleteMany({})
+    await Membership.deleteMany({})
+    await Task.deleteMany({})
+    await Notification.deleteMany({})
+
+    const response = await request(app).post("/api/auth/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "password123",
+      organizationName: "Test Company",
+    })
+
+    adminToken = response.body.token
+    adminUser = await User.findOne({ email: "admin@example.com" })
+    organization = await Organization.findById(response.body.user.organization.id)
+
+    memberUser = await User.create({
+      name: "Member User",
+      email: "member@example.com",
+      password: "password123",
+      organization: organization._id,
+      role: "Member",
+    })
+    await Membership.create({ user: memberUser._id, organization: organization._id, role: "Member" })
+
+    const memberLogin = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "member@example.com", password: "password123" })
+    memberToken = memberLogin.body.token
+  })
+
+  afterAll(async () => {
+    await mongoose.connection.close()
+  })
+
+  const assignTask = () =>
+    request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ title: "Review access", category: "Feature", assignedTo: memberUser._id })
+      .expect(201)
+
+  const listFor = (token, query = "") =>
+    request(app).get(`/api/notifications${query}`).set("Authorization", `Bearer ${token}`).expect(200)
+
+  it("should notify the assignee and track read state", async () => {
+    await assignTask()
+
+    const list = await listFor(memberToken)
+    expect(list.body.notifications).toHaveLength(1)
+    expect(list.body.notifications[0]).toMatchObject({
+      type: "task_assigned",
+      message: 'Admin User assigned you "Review access"',
+      actor: { name: "Admin User" },
+    })
+    expect(list.body.unreadCount).toBe(1)
+
+    // The actor is not notified about their own change
+    expect((await listFor(adminToken)).body.notifications).toHaveLength(0)
+
+    await request(app)
+      .put(`/api/notifications/${list.body.notifications[0]._id}/read`)
+      .set("Authorization", `Bearer ${memberToken}`)
+      .expect(200)
+
+    const count = await request(app)
+      .get("/api/notifications/unread-count")
+      .set("Authorization", `Bearer ${memberToken}`)
+      .expect(200)
+    expect(count.body.count).toBe(0)
+  })
+
+  it("should mark all notifications as read", async () => {
+    await assignTask()
+    await assignTask()
+
+    const response = await request(app)
+      .put("/api/notifications/read-all")
+      .set("Authorization", `Bearer ${memberToken}`)
+      .expect(200)
+    expect(response.body.updated).toBe(2)
+
+    expect((await listFor(memberToken, "?unread=true")).body.notifications).toHaveLength(0)
+  })
+
+  it("should not let users read other users' notifications", async () => {
+    await assignTask()
+    const [notification] = (await listFor(memberToken)).body.notifications
+
+    await request(app)
+      .put(`/api/notifications/${notification._id}/read`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(404)
+  })
+
+  it("should notify about comments and mentions", async () => {
+    const task = await assignTask()
+
+    await request(app)
+      .post(`/api/tasks/${task.body._id}/comments`)
+      .set("Authorization", `Bearer ${memberToken}`)
+      .send({ text: "Done, please check @admin@example.com" })
+      .expect(201)
+
+    const adminNotifications = (await listFor(adminToken)).body.notifications
+    expect(adminNotifications.map((notification) => notification.type)).toEqual(["task_mentioned"])
+  })
+
+  it("should notify about role changes and expirations", async () => {
+    await request(app)
+      .put(`/api/organizations/members/${memberUser._id}/role`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ role: "Manager" })
+      .expect(200)
+
+    await Task.create({
+      title: "Overdue",
+      category: "Bug",
+      dueDate: new Date(Date.now() - 60 * 1000),
+      assignedTo: memberUser._id,
+      createdBy: adminUser._id,
+      organization: organization._id,
+    })
+    await taskExpiration.handler()
+
+    const types = (await listFor(memberToken)).body.notifications.map((notification) => notification.type)
+    expect(types.sort()).toEqual(["role_changed", "task_expired"])
+  })
+
+  it("should respect notification preferences", async () => {
+    const preferences = await request(app)
+      .put("/api/notifications/preferences")
+      .set("Authorization", `Bearer ${memberToken}`)
+      .send({ task_assigned: false })
+      .expect(200)
+    expect(preferences.body).toMatchObject({ task_assigned: false, task_commented: true })
+
+    await request(app)
+      .put("/api/notifications/preferences")
+      .set("Authorization", `Bearer ${memberToken}`)
+      .send({ task_unknown: false })
+      .expect(400)
+
+    await assignTask()
+    expect((await listFor(memberToken)).body.notifications).toHaveLength(0)
+  })
+})
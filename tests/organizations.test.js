@@ -0,0 +1,585 @@
+const request = require("supertest")
+const mongoose = require("mongoose")
+const app = require("../server")
+const User = require("../models/User")
+const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
+const Invitation = require("../models/Invitation")
+const AuditLog = require("../models/AuditLog")
+const Task = require("../models/Task")
+const organizationDeletion = require("../jobs/organizationDeletion")
+const { registerTransport } = require("../services/mailer")
+
+// Capture outgoing mail instead of printing it
+const sentMail = []
+registerTransport("test", () => ({ send: async (message) => sentMail.push(message) }))
+process.env.MAIL_TRANSPORT = "test"
+
+describe("Organization Endpoints", () => {
+  let adminToken, organization
+
+  beforeAll(async () => {
+    const mongoUri = process.env.MONGODB_URI || "mongodb://localhost:27017/task-platform-test"
+    await mongoose.connect(mongoUri)
+  })
+
+  beforeEach(async () => {
+    // Clean up database
+    await User.deleteMany({})
+    await Organization.deleteMany({})
+    await Membership.deleteMany({})
+    await Invitation.deleteMany({})
+    await AuditLog.collection.deleteMany({})
+    await Task.deleteMany({})
+    sentMail.length = 0
+
+    const response = await request(app).post("/api/auth/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "password123",
+      organizationName: "Test Company",
+    })
+
+    adminToken = response.body.token
+    organization = response.body.user.organization
+  })
+
+  afterAll(async () => {
+    await mongoose.connection.close()
+  })
+
+  const invite = (email, role = "Manager") =>
+    request(app).post("/api/organizations/invite").set("Authorization", `Bearer ${adminToken}`).send({ email, role })
+
+  const lastInviteToken = () => sentMail[sentMail.length - 1].text.match(/token=([a-f0-9]+)/)[1]
+
+  describe("Invitations", () => {
+    it("should email an invitation without creating a user", async () => {
+      const response = await invite("new@example.com").expect(201)
+
+      expect(response.body.invitation.status).toBe("pending")
+      expect(response.body.invitation).not.toHaveProperty("tokenHash")
+      expect(sentMail).toHaveLength(1)
+      expect(sentMail[0].to).toBe("new@example.com")
+      expect(await User.findOne({ email: "new@example.com" })).toBeNull()
+    })
+
+    it("should join with the invited role", async () => {
+      await invite("new@example.com").expect(201)
+
+      const response = await request(app)
+        .post("/api/auth/join")
+        .send({ name: "New User", email: "new@example.com", password: "password123", inviteToken: lastInviteToken() })
+        .expect(201)
+
+      expect(response.body.user.role).toBe("Manager")
+      expect(response.body.user.organization.id).toBe(organization.id)
+
+      const invitations = await request(app)
+        .get("/api/organizations/invitations?status=accepted")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(invitations.body).toHaveLength(1)
+    })
+
+    it("should not join with an email other than the invited one", async () => {
+      await invite("new@example.com").expect(201)
+
+      await request(app)
+        .post("/api/auth/join")
+        .send({ name: "Someone", email: "other@example.com", password: "password123", inviteToken: lastInviteToken() })
+        .expect(400)
+    })
+
+    it("should invalidate the old link when resending", async () => {
+      const created = await invite("new@example.com").expect(201)
+      const firstToken = lastInviteToken()
+
+      await request(app)
+        .post(`/api/organizations/invitations/${created.body.invitation._id}/resend`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      await request(app)
+        .post("/api/auth/join")
+        .send({ name: "New User", email: "new@example.com", password: "password123", inviteToken: firstToken })
+        .expect(400)
+
+      await request(app)
+        .post("/api/auth/join")
+        .send({ name: "New User", email: "new@example.com", password: "password123", inviteToken: lastInviteToken() })
+        .expect(201)
+    })
+
+    it("should not join with a revoked invitation", async () => {
+      const created = await invite("new@example.com").expect(201)
+
+      await request(app)
+        .delete(`/api/organizations/invitations/${created.body.invitation._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      await request(app)
+        .post("/api/auth/join")
+        .send({ name: "New User", email: "new@example.com", password: "password123", inviteToken: lastInviteToken() })
+        .expect(400)
+    })
+  })
+
+  describe("Multiple organizations", () => {
+    let contractorToken, otherOrganization
+
+    beforeEach(async () => {
+      const contractor = await request(app).post("/api/auth/register").send({
+        name: "Contractor",
+        email: "contractor@example.com",
+        password: "password123",
+        organizationName: "Contractor LLC",
+      })
+      otherOrganization = contractor.body.user.organization
+
+      await invite("contractor@example.com", "Member").expect(201)
+
+      const joined = await request(app)
+        .post("/api/auth/join")
+        .send({
+          name: "Contractor",
+          email: "contractor@example.com",
+          password: "password123",
+          inviteToken: lastInviteToken(),
+        })
+        .expect(201)
+
+      contractorToken = joined.body.token
+    })
+
+    it("should require the existing password when an existing user joins", async () => {
+      await invite("other@example.com").expect(201)
+      await request(app).post("/api/auth/register").send({
+        name: "Other",
+        email: "other@example.com",
+        password: "password123",
+        organizationName: "Other Co",
+      })
+
+      await request(app)
+        .post("/api/auth/join")
+        .send({ name: "Other", email: "other@example.com", password: "wrongpass", inviteToken: lastInviteToken() })
+        .expect(400)
+    })
+
+    it("should list every membership on /me", async () => {
+      const response = await request(app)
+        .get("/api/auth/me")
+        .set("Authorization", `Bearer ${contractorToken}`)
+        .expect(200)
+
+      expect(response.body.user.organization.id).toBe(organization.id)
+      expect(response.body.user.role).toBe("Member")
+      expect(response.body.user.memberships).toHaveLength(2)
+    })
+
+    it("should apply roles per organization", async () => {
+      // Member in the inviting organization
+      await request(app)
+        .post("/api/organizations/invite")
+        .set("Authorization", `Bearer ${contractorToken}`)
+        .send({ email: "someone@example.com" })
+        .expect(403)
+
+      // Admin in their own organization
+      await request(app)
+        .post("/api/organizations/invite")
+        .set("Authorization", `Bearer ${contractorToken}`)
+        .set("X-Organization-Id", otherOrganization.id)
+        .send({ email: "someone@example.com" })
+        .expect(201)
+    })
+
+    it("should switch organization through the token", async () => {
+      const switched = await request(app)
+        .post("/api/auth/switch-organization")
+        .set("Authorization", `Bearer ${contractorToken}`)
+        .send({ organizationId: otherOrganization.id })
+        .expect(200)
+
+      const response = await request(app)
+        .get("/api/organizations")
+        .set("Authorization", `Bearer ${switched.body.token}`)
+        .expect(200)
+
+      expect(response.body.name).toBe("Contractor LLC")
+    })
+
+    it("should not reach organizations the user does not belong to", async () => {
+      await request(app)
+        .get("/api/organizations")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .set("X-Organization-Id", otherOrganization.id)
+        .expect(403)
+    })
+
+    it("should keep deactivated legacy users inactive when backfilling their membership", async () => {
+      const legacy = await User.create({
+        name: "Legacy",
+        email: "legacy@example.com",
+        password: "password123",
+        organization: organization.id,
+        role: "Manager",
+        isActive: false,
+      })
+
+      const membership = await Membership.findForUser(legacy._id, organization.id)
+      expect(membership.role).toBe("Manager")
+      expect(membership.isActive).toBe(false)
+      expect(await Membership.findActiveMember(legacy._id, organization.id)).toBeNull()
+    })
+  })
+
+  describe("Task workflow", () => {
+    const reviewWorkflow = {
+      initialStatus: "Todo",
+      statuses: ["Todo", "In Progress", "In Review", "Completed", "Expired"],
+      transitions: [
+        { from: "Todo", to: "In Progress" },
+        { from: "In Progress", to: "In Review" },
+        { from: "In Review", to: "Completed", roles: ["Admin", "Manager"] },
+      ],
+    }
+
+    it("should return the default workflow", async () => {
+      const response = await request(app)
+        .get("/api/organizations/workflow")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.statuses).toEqual(["Todo", "In Progress", "Completed", "Expired"])
+      expect(response.body.initialStatus).toBe("Todo")
+    })
+
+    it("should replace the workflow", async () => {
+      await request(app)
+        .put("/api/organizations/workflow")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(reviewWorkflow)
+        .expect(200)
+
+      const response = await request(app)
+        .get("/api/organizations/workflow")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.statuses).toContain("In Review")
+      expect(response.body.transitions).toHaveLength(3)
+      expect(response.body.transitions[2].roles).toEqual(["Admin", "Manager"])
+    })
+
+    it("should reject workflows without the reserved statuses or with unknown statuses", async () => {
+      const response = await request(app)
+        .put("/api/organizations/workflow")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          initialStatus: "Todo",
+          statuses: ["Todo", "Done"],
+          transitions: [{ from: "Todo", to: "Shipped" }],
+        })
+        .expect(400)
+
+      expect(response.body.errors).toEqual(
+        expect.arrayContaining([
+          "Workflow must include the Completed status",
+          "Transition 0 leads to unknown status Shipped",
+        ]),
+      )
+    })
+
+    it("should not remove statuses that tasks still use", async () => {
+      await request(app)
+        .put("/api/organizations/workflow")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(reviewWorkflow)
+        .expect(200)
+
+      await Task.create({
+        title: "Under review",
+        category: "Bug",
+        status: "In Review",
+        organization: organization.id,
+        createdBy: new mongoose.Types.ObjectId(),
+      })
+
+      const response = await request(app)
+        .put("/api/organizations/workflow")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ ...reviewWorkflow, statuses: ["Todo", "In Progress", "Completed", "Expired"], transitions: [] })
+        .expect(400)
+
+      expect(response.body.message).toContain("In Review")
+    })
+  })
+
+  describe("Categories, labels and custom fields", () => {
+    const admin = (method, url) => request(app)[method](url).set("Authorization", `Bearer ${adminToken}`)
+
+    const createTask = (data) =>
+      Task.create({
+        title: "Classified",
+        category: "Bug",
+        organization: organization.id,
+        createdBy: new mongoose.Types.ObjectId(),
+        ...data,
+      })
+
+    it("should add, rename and delete categories", async () => {
+      const created = await admin("post", "/api/organizations/categories").send({ name: "QA" }).expect(201)
+      expect(created.body).toEqual(["Bug", "Feature", "Improvement", "QA"])
+
+      const task = await createTask({ category: "QA" })
+      await admin("delete", "/api/organizations/categories/QA").expect(400)
+
+      await admin("put", "/api/organizations/categories/QA").send({ name: "Testing" }).expect(200)
+      expect((await Task.findById(task._id)).category).toBe("Testing")
+
+      await Task.deleteMany({})
+      await admin("delete", "/api/organizations/categories/Testing").expect(200)
+      const response = await admin("get", "/api/organizations/categories").expect(200)
+      expect(response.body).toEqual(["Bug", "Feature", "Improvement"])
+    })
+
+    it("should manage labels and remove deleted labels from tasks", async () => {
+      const created = await admin("post", "/api/organizations/labels")
+        .send({ name: "Blocked", color: "#cc0000" })
+        .expect(201)
+      await admin("post", "/api/organizations/labels").send({ name: "blocked" }).expect(400)
+      await admin("post", "/api/organizations/labels").send({ name: "Bad", color: "red" }).expect(400)
+
+      const updated = await admin("put", `/api/organizations/labels/${created.body._id}`)
+        .send({ color: "#00cc00" })
+        .expect(200)
+      expect(updated.body).toMatchObject({ name: "Blocked", color: "#00cc00" })
+
+      const task = await createTask({ labels: [created.body._id] })
+      await admin("delete", `/api/organizations/labels/${created.body._id}`).expect(200)
+      expect((await Task.findById(task._id)).labels).toHaveLength(0)
+    })
+
+    it("should manage custom fields", async () => {
+      await admin("post", "/api/organizations/custom-fields")
+        .send({ key: "severity", name: "Severity", type: "select" })
+        .expect(400)
+
+      const created = await admin("post", "/api/organizations/custom-fields")
+        .send({ key: "severity", name: "Severity", type: "select", options: ["low", "high"] })
+        .expect(201)
+      await admin("post", "/api/organizations/custom-fields")
+        .send({ key: "severity", name: "Again", type: "text" })
+        .expect(400)
+
+      const task = await createTask({ customFields: { severity: "high" } })
+      await admin("put", `/api/organizations/custom-fields/${created.body._id}`)
+        .send({ options: ["low"] })
+        .expect(400)
+      await admin("put", `/api/organizations/custom-fields/${created.body._id}`)
+        .send({ options: ["low", "high", "critical"], required: true })
+        .expect(200)
+
+      await admin("delete", `/api/organizations/custom-fields/${created.body._id}`).expect(200)
+      expect((await Task.findById(task._id)).customFields.get("severity")).toBeUndefined()
+
+      const list = await admin("get", "/api/organizations/custom-fields").expect(200)
+      expect(list.body).toHaveLength(0)
+    })
+  })
+
+  describe("Deactivation and export", () => {
+    let memberCredentials
+
+    beforeEach(async () => {
+      memberCredentials = { email: "member@example.com", password: "password123" }
+      await invite(memberCredentials.email, "Member").expect(201)
+      await request(app)
+        .post("/api/auth/join")
+        .send({ name: "Member User", ...memberCredentials, inviteToken: lastInviteToken() })
+        .expect(201)
+
+      const admin = await User.findOne({ email: "admin@example.com" })
+      await Task.create({
+        title: "Ship the release",
+        category: "Feature",
+        createdBy: admin._id,
+        organization: organization.id,
+        comments: [{ user: admin._id, text: "Almost there" }],
+      })
+    })
+
+    const deactivate = (confirm = organization.slug) =>
+      request(app).post("/api/organizations/deactivate").set("Authorization", `Bearer ${adminToken}`).send({ confirm })
+
+    const binary = (res, callback) => {
+      const chunks = []
+      res.on("data", (chunk) => chunks.push(chunk))
+      res.on("end", () => callback(null, Buffer.concat(chunks)))
+    }
+
+    it("should require the slug as confirmation", async () => {
+      await deactivate("not-the-slug").expect(400)
+
+      const member = await request(app).post("/api/auth/login").send(memberCredentials).expect(200)
+      await request(app)
+        .post("/api/organizations/deactivate")
+        .set("Authorization", `Bearer ${member.body.token}`)
+        .send({ confirm: organization.slug })
+        .expect(403)
+    })
+
+    it("should block members and API access once deactivated", async () => {
+      const response = await deactivate().expect(200)
+      expect(new Date(response.body.deletionScheduledAt).getTime()).toBeGreaterThan(Date.now())
+
+      const blocked = await request(app).get("/api/tasks").set("Authorization", `Bearer ${adminToken}`).expect(403)
+      expect(blocked.body.message).toBe("Organization is deactivated")
+
+      await request(app).post("/api/auth/login").send(memberCredentials).expect(403)
+
+      // Admins can still sign in to export or reactivate it
+      const admin = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "admin@example.com", password: "password123" })
+        .expect(200)
+      expect(admin.body.user.organization.isActive).toBe(false)
+    })
+
+    it("should export the organization as a zip archive", async () => {
+      await deactivate().expect(200)
+
+      const response = await request(app)
+        .get("/api/organizations/export")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .buffer(true)
+        .parse(binary)
+        .expect(200)
+
+      expect(response.headers["content-type"]).toContain("application/zip")
+      expect(response.headers["content-disposition"]).toContain(`${organization.slug}-export-`)
+      expect(response.body.subarray(0, 2).toString()).toBe("PK")
+      for (const name of ["organization.json", "members.json", "projects.json", "tasks.ndjson", "comments.ndjson"]) {
+        expect(response.body.includes(name)).toBe(true)
+      }
+
+      const member = await request(app).post("/api/auth/login").send(memberCredentials)
+      await request(app)
+        .get("/api/organizations/export")
+        .set("Authorization", `Bearer ${member.body.token}`)
+        .expect(403)
+    })
+
+    it("should reactivate within the grace period", async () => {
+      await request(app).post("/api/organizations/reactivate").set("Authorization", `Bearer ${adminToken}`).expect(400)
+      await deactivate().expect(200)
+
+      const response = await request(app)
+        .post("/api/organizations/reactivate")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.isActive).toBe(true)
+      expect(response.body.deletionScheduledAt).toBeUndefined()
+      await request(app).get("/api/tasks").set("Authorization", `Bearer ${adminToken}`).expect(200)
+      await request(app).post("/api/auth/login").send(memberCredentials).expect(200)
+    })
+
+    it("should delete the organization once the grace period ends", async () => {
+      await deactivate().expect(200)
+      expect(await organizationDeletion.handler()).toBe(0)
+
+      const past = new Date(Date.now() - 1000)
+      await Organization.updateOne({ _id: organization.id }, { $set: { deletionScheduledAt: past } })
+      await request(app).post("/api/organizations/reactivate").set("Authorization", `Bearer ${adminToken}`).expect(400)
+
+      expect(await organizationDeletion.handler()).toBe(1)
+      expect(await Organization.findById(organization.id)).toBeNull()
+      expect(await Task.countDocuments({ organization: organization.id })).toBe(0)
+      expect(await Membership.countDocuments({ organization: organization.id })).toBe(0)
+      expect(await User.countDocuments({ email: { $in: ["admin@example.com", "member@example.com"] } })).toBe(0)
+    })
+  })
+
+  describe("GET /api/organizations/audit-log", () => {
+    let member
+
+    beforeEach(async () => {
+      member = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+      await Membership.create({ user: member._id, organization: organization.id, role: "Member" })
+
+      await request(app)
+        .put(`/api/organizations/members/${member._id}/role`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ role: "Manager" })
+        .expect(200)
+    })
+
+    it("should record admin actions with before and after values", async () => {
+      const response = await request(app)
+        .get("/api/organizations/audit-log?action=member.role_changed")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.entries).toHaveLength(1)
+      expect(response.body.entries[0].target.label).toBe("member@example.com")
+      expect(response.body.entries[0].before).toEqual({ role: "Member" })
+      expect(response.body.entries[0].after).toEqual({ role: "Manager" })
+      expect(response.body.entries[0].actor.email).toBe("admin@example.com")
+    })
+
+    it("should record logins", async () => {
+      await request(app).post("/api/auth/login").send({ email: "admin@example.com", password: "wrong" }).expect(400)
+      await request(app).post("/api/auth/login").send({ email: "admin@example.com", password: "password123" }).expect(200)
+
+      const response = await request(app)
+        .get("/api/organizations/audit-log?action=auth.login,auth.login_failed")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.entries.map((entry) => entry.action).sort()).toEqual(["auth.login", "auth.login_failed"])
+
+      // The same filter as a repeated parameter
+      const repeated = await request(app)
+        .get("/api/organizations/audit-log?action=auth.login&action=auth.login_failed")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(repeated.body.entries).toHaveLength(2)
+    })
+
+    it("should export as CSV", async () => {
+      const response = await request(app)
+        .get("/api/organizations/audit-log?format=csv&action=member.role_changed")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      const lines = response.text.trim().split("\r\n")
+      expect(response.headers["content-type"]).toContain("text/csv")
+      expect(lines[0]).toBe("createdAt,action,actorId,actorName,actorEmail,targetType,targetId,targetLabel,ip,userAgent,before,after")
+      expect(lines).toHaveLength(2)
+      expect(lines[1]).toContain("member.role_changed")
+      // Ids are written bare, not as JSON strings
+      expect(lines[1].split(",")[2]).toMatch(/^[a-f0-9]{24}$/)
+    })
+
+    it("should not allow entries to be changed", async () => {
+      await expect(AuditLog.updateMany({}, { $set: { action: "tampered" } })).rejects.toThrow("immutable")
+      await expect(AuditLog.deleteMany({})).rejects.toThrow("immutable")
+    })
+
+    it("should not be visible to non-admins", async () => {
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ email: "member@example.com", password: "password123" })
+
+      await request(app)
+        .get("/api/organizations/audit-log")
+        .set("Authorization", `Bearer ${login.body.token}`)
+        .expect(403)
+    })
+  })
+})
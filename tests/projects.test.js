@@ -0,0 +1,212 @@
+const request = require("supertest")
+const mongoose = require("mongoose")
+const app = require("../server")
+const User = require("../models/User")
+const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
+const Project = require("../models/Project")
+const Task = require("../models/Task")
+
+describe("Project Endpoints", () => {
+  let adminToken, memberToken, adminUser, memberUser, organization
+
+  beforeAll(async () => {
+    const mongoUri = process.env.MONGODB_URI || "mongodb://localhost:27017/task-platform-test"
+    await mongoose.connect(mongoUri)
+  })
+
+  beforeEach(async () => {
+    // Clean up database
+    await User.deleteMany({})
+    await Organization.deleteMany({})
+    await Membership.deleteMany({})
+    await Project.deleteMany({})
+    await Task.deleteMany({})
+
+    const response = await request(app).post("/api/auth/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "password123",
+      organizationName: "Test Company",
+    })
+
+    adminToken = response.body.token
+    adminUser = await User.findOne({ email: "admin@example.com" })
+    organization = await Organization.findById(response.body.user.organization.id)
+
+    memberUser = await User.create({
+      name: "Member User",
+      email: "member@example.com",
+      password: "password123",
+      organization: organization._id,
+      role: "Member",
+    })
+    await Membership.create({ user: memberUser._id, organization: organization._id, role: "Member" })
+
+    const memberLogin = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "member@example.com", password: "password123" })
+    memberToken = memberLogin.body.token
+  })
+
+  afterAll(async () => {
+    await mongoose.connection.close()
+  })
+
+  const createProject = (data) =>
+    request(app)
+      .post("/api/projects")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Website", ...data })
+
+  const createTask = (data) =>
+    request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ title: "Project task", category: "Feature", ...data })
+
+  describe("CRUD", () => {
+    it("should create, update and list projects", async () => {
+      const created = await createProject({ members: [memberUser._id] }).expect(201)
+      expect(created.body.members[0].email).toBe("member@example.com")
+
+      await createProject({ name: "website" }).expect(400)
+
+      await request(app)
+        .put(`/api/projects/${created.body._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ description: "Marketing site", defaultAssignee: memberUser._id })
+        .expect(200)
+
+      const list = await request(app).get("/api/projects").set("Authorization", `Bearer ${adminToken}`).expect(200)
+      expect(list.body).toHaveLength(1)
+      expect(list.body[0].description).toBe("Marketing site")
+      expect(list.body[0].taskCount).toBe(0)
+    })
+
+    it("should only accept organization members", async () => {
+      const outsider = await User.create({ name: "Outsider", email: "outsider@example.com", password: "password123" })
+
+      await createProject({ members: [outsider._id] }).expect(400)
+      await createProject({ defaultAssignee: outsider._id }).expect(400)
+    })
+
+    it("should not let members create projects", async () => {
+      await request(app)
+        .post("/api/projects")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ name: "Side project" })
+        .expect(403)
+    })
+
+    it("should archive projects and hide them from the default list", async () => {
+      const created = await createProject().expect(201)
+
+      const archived = await request(app)
+        .put(`/api/projects/${created.body._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ archived: true })
+        .expect(200)
+      expect(archived.body.archivedAt).toBeDefined()
+
+      const open = await request(app).get("/api/projects").set("Authorization", `Bearer ${adminToken}`).expect(200)
+      expect(open.body).toHaveLength(0)
+
+      const all = await request(app)
+        .get("/api/projects?archived=all")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(all.body).toHaveLength(1)
+
+      await createTask({ project: created.body._id }).expect(400)
+    })
+
+    it("should only delete projects without tasks", async () => {
+      const created = await createProject().expect(201)
+      const task = await createTask({ project: created.body._id }).expect(201)
+
+      await request(app)
+        .delete(`/api/projects/${created.body._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400)
+
+      await Task.findByIdAndDelete(task.body._id)
+      await request(app)
+        .delete(`/api/projects/${created.body._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+    })
+  })
+
+  describe("Project tasks", () => {
+    it("should assign new tasks to the project's default assignee", async () => {
+      const project = await createProject({ defaultAssignee: memberUser._id }).expect(201)
+
+      const task = await createTask({ project: project.body._id }).expect(201)
+      expect(task.body.assignedTo.email).toBe("member@example.com")
+      expect(task.body.project).toBe(project.body._id)
+    })
+
+    it("should let members see every task of their projects", async () => {
+      const project = await createProject().expect(201)
+      const task = await createTask({ project: project.body._id }).expect(201)
+      await createTask({ title: "Unrelated" }).expect(201)
+
+      await request(app).get(`/api/tasks/${task.body._id}`).set("Authorization", `Bearer ${memberToken}`).expect(403)
+
+      await request(app)
+        .post(`/api/projects/${project.body._id}/members`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ userId: memberUser._id })
+        .expect(200)
+
+      await request(app).get(`/api/tasks/${task.body._id}`).set("Authorization", `Bearer ${memberToken}`).expect(200)
+
+      const list = await request(app).get("/api/tasks").set("Authorization", `Bearer ${memberToken}`).expect(200)
+      expect(list.body.tasks.map((entry) => entry.title)).toEqual(["Project task"])
+
+      const projects = await request(app).get("/api/projects").set("Authorization", `Bearer ${memberToken}`).expect(200)
+      expect(projects.body).toHaveLength(1)
+      expect(projects.body[0].taskCount).toBe(1)
+    })
+
+    it("should let project members read the comments and activity of project tasks", async () => {
+      const project = await createProject().expect(201)
+      const task = await createTask({ project: project.body._id }).expect(201)
+      await request(app)
+        .post(`/api/tasks/${task.body._id}/comments`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ text: "Kickoff on Monday" })
+        .expect(201)
+      await request(app)
+        .post(`/api/projects/${project.body._id}/members`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ userId: memberUser._id })
+        .expect(200)
+
+      const comments = await request(app)
+        .get(`/api/tasks/${task.body._id}/comments`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+      expect(comments.body.comments.map((comment) => comment.text)).toEqual(["Kickoff on Monday"])
+
+      const activity = await request(app)
+        .get(`/api/tasks/${task.body._id}/activity`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+      expect(activity.body.activity.map((entry) => entry.type)).toContain("created")
+    })
+
+    it("should filter tasks by project", async () => {
+      const project = await createProject().expect(201)
+      await createTask({ project: project.body._id }).expect(201)
+      await createTask({ title: "Unrelated" }).expect(201)
+
+      const response = await request(app)
+        .get(`/api/tasks?project=${project.body._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(response.body.tasks).toHaveLength(1)
+    })
+  })
+})
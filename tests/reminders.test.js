@@ -0,0 +1,136 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const app = require("../server")
+const User = require("../models/User")
+const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
+const Task = require("../models/Task")
+const ReminderLog = require("../models/ReminderLog")
+const dueDateReminders = require("../jobs/dueDateReminders")
+const { registerChannel } = require("../services/reminders")
+const createLogChannel = require("../services/reminders/logChannel")
+
+// Capture reminders instead of emailing them
+const sentReminders = []
+registerChannel("test", () => ({ send: async (reminder) => sentReminders.push(reminder) }))
+process.env.REMINDER_CHANNELS = "test"
+
+const HOUR = 60 * 60 * 1000
+
+describe("Due-date reminders", () => {
+  let adminToken, adminUser, managerUser, memberUser, organization
+
+  beforeAll(async () => {
+    const mongoUri = process.env.MONGODB_URI || "mongodb://localhost:27017/task-platform-test"
+    await mongoose.connect(mongoUri)
+  })
+
+  beforeEach(async () => {
+    // Clean up database
+    await User.deleteMany({})
+    await Organization.deleteMany({})
+    await Membership.deleteMany({})
+    await Task.deleteMany({})
+    await ReminderLog.deleteMany({})
+    sentReminders.length = 0
+
+    const response = await request(app).post("/api/auth/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "password123",
+      organizationName: "Test Company",
+    })
+
+    adminToken = response.body.token
+    adminUser = await User.findOne({ email: "admin@example.com" })
+    organization = await Organization.findById(response.body.user.organization.id)
+
+    managerUser = await User.create({ name: "Manager", email: "manager@example.com", password: "password123" })
+    memberUser = await User.create({ name: "Member", email: "member@example.com", password: "password123" })
+    await Membership.create([
+      { user: managerUser._id, organization: organization._id, role: "Manager" },
+      { user: memberUser._id, organization: organization._id, role: "Member" },
+    ])
+  })
+
+  afterAll(async () => {
+    await mongoose.connection.close()
+  })
+
+  const createTask = (data) =>
+    Task.create({
+      title: "Renew certificate",
+      category: "Improvement",
+      createdBy: adminUser._id,
+      assignedTo: memberUser._id,
+      organization: organization._id,
+      ...data,
+    })
+
+  it("should remind the assignee once per lead time", async () => {
+    organization.settings.reminderLeadHours = [24, 1]
+    await organization.save()
+    const task = await createTask({ dueDate: new Date(Date.now() + 2 * HOUR) })
+
+    expect(await dueDateReminders.handler()).toBe(1)
+    expect(await dueDateReminders.handler()).toBe(0)
+    expect(sentReminders[0]).toMatchObject({
+      kind: "due_soon",
+      leadHours: 24,
+      recipient: { email: "member@example.com" },
+    })
+
+    task.dueDate = new Date(Date.now() + 30 * 60 * 1000)
+    await task.save()
+
+    expect(await dueDateReminders.handler()).toBe(1)
+    expect(sentReminders[1].leadHours).toBe(1)
+  })
+
+  it("should not remind about tasks outside the lead time or already closed", async () => {
+    await createTask({ dueDate: new Date(Date.now() + 48 * HOUR) })
+    await createTask({ dueDate: new Date(Date.now() + HOUR), status: "Completed" })
+    await createTask({ dueDate: new Date(Date.now() + HOUR), assignedTo: undefined })
+
+    expect(await dueDateReminders.handler()).toBe(0)
+  })
+
+  it("should notify the creator and managers when a task goes overdue", async () => {
+    await createTask({ dueDate: new Date(Date.now() - HOUR), status: "Expired" })
+
+    expect(await dueDateReminders.handler()).toBe(2)
+    expect(await dueDateReminders.handler()).toBe(0)
+
+    const recipients = sentReminders.map((reminder) => reminder.recipient.email).sort()
+    expect(recipients).toEqual(["admin@example.com", "manager@example.com"])
+    expect(sentReminders.every((reminder) => reminder.kind === "overdue")).toBe(true)
+  })
+
+  it("should use the organization's reminder settings", async () => {
+    await request(app)
+      .put("/api/organizations/settings")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ settings: { reminderLeadHours: [72], overdueReminders: false } })
+      .expect(200)
+
+    await createTask({ dueDate: new Date(Date.now() + 48 * HOUR) })
+    await createTask({ dueDate: new Date(Date.now() - HOUR) })
+
+    expect(await dueDateReminders.handler()).toBe(1)
+    expect(sentReminders[0].leadHours).toBe(72)
+  })
+
+  it("should write reminders to the log channel", async () => {
+    const filePath = path.join(os.tmpdir(), `reminders-${Date.now()}.log`)
+    const channel = createLogChannel({ filePath })
+
+    await channel.send({ kind: "overdue", subject: "Overdue: Renew certificate" })
+
+    const [line] = fs.readFileSync(filePath, "utf8").trim().split("\n")
+    expect(JSON.parse(line)).toMatchObject({ kind: "overdue", subject: "Overdue: Renew certificate" })
+    fs.unlinkSync(filePath)
+  })
+})
@@ -3,7 +3,12 @@ const mongoose = require("mongoose")
 const app = require("../server")
 const User = require("../models/User")
 const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
 const Task = require("../models/Task")
+const TaskActivity = require("../models/TaskActivity")
+const TaskSeries = require("../models/TaskSeries")
+const recurringTasksJob = require("../jobs/recurringTasks")
+const trashRetentionJob = require("../jobs/trashRetention")
 
 describe("Task Endpoints", () => {
   let adminUser, memberUser, organization, adminToken, memberToken
@@ -17,7 +22,10 @@ describe("Task Endpoints", () => {
     // Clean up database
     await User.deleteMany({})
     await Organization.deleteMany({})
+    await Membership.deleteMany({})
     await Task.deleteMany({})
+    await TaskActivity.deleteMany({})
+    await TaskSeries.deleteMany({})
 
     // Create test organization
     organization = new Organization({
@@ -171,6 +179,51 @@ describe("Task Endpoints", () => {
       expect(response.body.tasks[0].status).toBe("Todo")
     })
 
+    it("should filter by multiple values", async () => {
+      const response = await request(app)
+        .get("/api/tasks?status=Todo,In Progress")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.tasks).toHaveLength(2)
+    })
+
+    it("should filter unassigned tasks", async () => {
+      const response = await request(app)
+        .get("/api/tasks?unassigned=true")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.tasks).toHaveLength(1)
+      expect(response.body.tasks[0]._id).toBe(task2._id.toString())
+    })
+
+    it("should filter overdue tasks by due date range", async () => {
+      task1.dueDate = new Date(Date.now() - 24 * 60 * 60 * 1000)
+      await task1.save()
+
+      const response = await request(app)
+        .get(`/api/tasks?overdue=true&dueAfter=${new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.tasks).toHaveLength(1)
+      expect(response.body.tasks[0]._id).toBe(task1._id.toString())
+    })
+
+    it("should reject unknown filter values", async () => {
+      const response = await request(app)
+        .get("/api/tasks?status=Todo,Done")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400)
+
+      expect(response.body.errors[0].msg).toContain("Done")
+
+      // Flags are filtered on "true" or "false" only
+      await request(app).get("/api/tasks?overdue=1").set("Authorization", `Bearer ${adminToken}`).expect(400)
+      await request(app).get("/api/tasks?unassigned=0").set("Authorization", `Bearer ${adminToken}`).expect(400)
+    })
+
     it("should paginate tasks", async () => {
       const response = await request(app)
         .get("/api/tasks?page=1&limit=1")
@@ -184,6 +237,109 @@ describe("Task Endpoints", () => {
     })
   })
 
+  describe("GET /api/tasks with cursor pagination", () => {
+    beforeEach(async () => {
+      const priorities = ["Medium", "High", "Low", "High", "Medium"]
+
+      for (const [index, priority] of priorities.entries()) {
+        await new Task({
+          title: `Task ${index}`,
+          category: "Bug",
+          priority,
+          createdBy: adminUser._id,
+          organization: organization._id,
+        }).save()
+      }
+    })
+
+    it("should walk every task exactly once with cursors", async () => {
+      const seen = []
+      let cursor = ""
+
+      do {
+        const response = await request(app)
+          .get(`/api/tasks?limit=2&sort=-priority&cursor=${cursor}`)
+          .set("Authorization", `Bearer ${adminToken}`)
+          .expect(200)
+
+        seen.push(...response.body.tasks.map((task) => task.priority))
+        cursor = response.body.pagination.nextCursor
+      } while (cursor)
+
+      expect(seen).toEqual(["High", "High", "Medium", "Medium", "Low"])
+    })
+
+    it("should sort by title in page mode", async () => {
+      const response = await request(app)
+        .get("/api/tasks?sort=-title&limit=2")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.tasks.map((task) => task.title)).toEqual(["Task 4", "Task 3"])
+      expect(response.body.pagination.total).toBe(5)
+    })
+
+    it("should reject invalid sort and cursor values", async () => {
+      await request(app).get("/api/tasks?sort=status").set("Authorization", `Bearer ${adminToken}`).expect(400)
+      await request(app).get("/api/tasks?cursor=bogus").set("Authorization", `Bearer ${adminToken}`).expect(400)
+    })
+  })
+
+  describe("GET /api/tasks?q=", () => {
+    beforeAll(async () => {
+      // $text queries need the text index to exist
+      await Task.init()
+    })
+
+    beforeEach(async () => {
+      await Task.create([
+        {
+          title: "Fix login bug",
+          description: "Users cannot sign in with SSO",
+          category: "Bug",
+          createdBy: adminUser._id,
+          organization: organization._id,
+          assignedTo: memberUser._id,
+        },
+        {
+          title: "Dashboard redesign",
+          description: "Mentions the login page once",
+          category: "Feature",
+          createdBy: adminUser._id,
+          organization: organization._id,
+        },
+        {
+          title: "Unrelated",
+          category: "Improvement",
+          createdBy: adminUser._id,
+          organization: organization._id,
+        },
+      ])
+    })
+
+    it("should rank matches by relevance with highlights", async () => {
+      const response = await request(app)
+        .get("/api/tasks?q=login")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.tasks).toHaveLength(2)
+      expect(response.body.tasks[0].title).toBe("Fix login bug")
+      expect(response.body.tasks[0].highlights.title).toBe("Fix <mark>login</mark> bug")
+      expect(response.body.tasks[1].highlights.description).toContain("<mark>login</mark>")
+    })
+
+    it("should respect member visibility", async () => {
+      const response = await request(app)
+        .get("/api/tasks?q=login")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+
+      expect(response.body.tasks).toHaveLength(1)
+      expect(response.body.tasks[0].title).toBe("Fix login bug")
+    })
+  })
+
   describe("PUT /api/tasks/:id", () => {
     let task
 
@@ -219,6 +375,21 @@ describe("Task Endpoints", () => {
       expect(response.body.priority).toBe(updateData.priority)
     })
 
+    it("should ignore fields that are not editable", async () => {
+      const otherOrganization = new mongoose.Types.ObjectId()
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Renamed", deletedAt: new Date(), organization: otherOrganization, createdBy: memberUser._id })
+        .expect(200)
+
+      const stored = await Task.findById(task._id)
+      expect(stored.title).toBe("Renamed")
+      expect(stored.deletedAt).toBeNull()
+      expect(stored.organization).toEqual(organization._id)
+      expect(stored.createdBy).toEqual(adminUser._id)
+    })
+
     it("should update only status as member", async () => {
       const updateData = {
         status: "In Progress",
@@ -268,34 +439,1065 @@ describe("Task Endpoints", () => {
     })
   })
 
-  describe("DELETE /api/tasks/:id", () => {
+  describe("PUT /api/tasks/:id with a custom workflow", () => {
     let task
 
     beforeEach(async () => {
-      task = new Task({
-        title: "Test Task",
-        category: "Bug",
+      organization.workflow = {
+        initialStatus: "Todo",
+        statuses: ["Todo", "In Progress", "In Review", "Completed", "Expired"],
+        transitions: [
+          { from: "Todo", to: "In Progress" },
+          { from: "In Progress", to: "In Review" },
+          { from: "In Review", to: "Completed", roles: ["Admin", "Manager"] },
+        ],
+      }
+      await organization.save()
+
+      task = await Task.create({
+        title: "Workflow Task",
+        category: "Feature",
+        status: "In Progress",
         createdBy: adminUser._id,
         organization: organization._id,
+        assignedTo: memberUser._id,
       })
+    })
+
+    it("should allow defined transitions to custom statuses", async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ status: "In Review" })
+        .expect(200)
+
+      expect(response.body.status).toBe("In Review")
+    })
+
+    it("should reject transitions the workflow does not define", async () => {
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ status: "Todo" })
+        .expect(400)
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ status: "Blocked" })
+        .expect(400)
+    })
+
+    it("should enforce role restrictions on transitions", async () => {
+      task.status = "In Review"
       await task.save()
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ status: "Completed" })
+        .expect(403)
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ status: "Completed" })
+        .expect(200)
+
+      expect(response.body.completedAt).toBeDefined()
     })
 
-    it("should delete task as admin", async () => {
-      await request(app).delete(`/api/tasks/${task._id}`).set("Authorization", `Bearer ${adminToken}`).expect(200)
+    it("should filter and count custom statuses", async () => {
+      task.status = "In Review"
+      await task.save()
 
-      const deletedTask = await Task.findById(task._id)
-      expect(deletedTask).toBeNull()
+      const list = await request(app)
+        .get("/api/tasks?status=In Review")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(list.body.tasks).toHaveLength(1)
+
+      const stats = await request(app)
+        .get("/api/tasks/stats/overview")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(stats.body.byStatus["In Review"]).toBe(1)
+      expect(stats.body.byStatus.Todo).toBe(0)
     })
+  })
 
-    it("should not delete task as member", async () => {
-      await request(app).delete(`/api/tasks/${task._id}`).set("Authorization", `Bearer ${memberToken}`).expect(403)
+  describe("Task labels and custom fields", () => {
+    let urgent
+
+    beforeEach(async () => {
+      organization.categories = ["Bug", "QA"]
+      organization.labels.push({ name: "Urgent", color: "#ff0000" })
+      organization.customFields.push(
+        { key: "points", name: "Story points", type: "number", required: true },
+        { key: "platforms", name: "Platforms", type: "multiselect", options: ["web", "ios", "android"] },
+      )
+      await organization.save()
+      urgent = organization.labels[0]
     })
 
-    it("should not delete non-existent task", async () => {
-      const fakeId = new mongoose.Types.ObjectId()
+    const createTask = (data) =>
+      request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Fielded", category: "QA", ...data })
 
-      await request(app).delete(`/api/tasks/${fakeId}`).set("Authorization", `Bearer ${adminToken}`).expect(404)
+    it("should store labels and typed custom field values", async () => {
+      const response = await createTask({
+        labels: [urgent._id],
+        customFields: { points: "5", platforms: ["web", "ios"] },
+      }).expect(201)
+
+      expect(response.body.labels).toEqual([urgent._id.toString()])
+      expect(response.body.customFields).toEqual({ points: 5, platforms: ["web", "ios"] })
+    })
+
+    it("should validate categories, labels and custom fields", async () => {
+      await createTask({ category: "Feature", customFields: { points: 1 } }).expect(400)
+      await createTask({ labels: [new mongoose.Types.ObjectId()], customFields: { points: 1 } }).expect(400)
+
+      const response = await createTask({ customFields: { platforms: ["desktop"], color: "red" } }).expect(400)
+      expect(response.body.errors).toEqual([
+        "Unknown platforms option(s): desktop",
+        "Unknown custom field: color",
+        "Missing required custom fields: points",
+      ])
+    })
+
+    it("should merge custom field values on update", async () => {
+      const created = await createTask({ customFields: { points: 3, platforms: ["web"] } }).expect(201)
+
+      const response = await request(app)
+        .put(`/api/tasks/${created.body._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ customFields: { platforms: null } })
+        .expect(200)
+      expect(response.body.customFields).toEqual({ points: 3 })
+
+      await request(app)
+        .put(`/api/tasks/${created.body._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ customFields: { points: null } })
+        .expect(400)
+    })
+
+    it("should filter by label and custom field", async () => {
+      await createTask({ title: "Small", customFields: { points: 1, platforms: ["web"] } }).expect(201)
+      await createTask({
+        title: "Large",
+        labels: [urgent._id],
+        customFields: { points: 8, platforms: ["ios"] },
+      }).expect(201)
+
+      const byLabel = await request(app)
+        .get(`/api/tasks?labels=${urgent._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(byLabel.body.tasks.map((task) => task.title)).toEqual(["Large"])
+
+      const byRange = await request(app)
+        .get("/api/tasks?cf[points][gte]=5")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(byRange.body.tasks.map((task) => task.title)).toEqual(["Large"])
+
+      const byOption = await request(app)
+        .get("/api/tasks?cf[platforms]=web,android")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(byOption.body.tasks.map((task) => task.title)).toEqual(["Small"])
+
+      await request(app)
+        .get("/api/tasks?cf[unknown]=1")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400)
+    })
+  })
+
+  describe("Subtasks and dependencies", () => {
+    let epic, story, design
+
+    const newTask = (data) =>
+      Task.create({ category: "Feature", createdBy: adminUser._id, organization: organization._id, ...data })
+
+    const update = (task, data) =>
+      request(app).put(`/api/tasks/${task._id}`).set("Authorization", `Bearer ${adminToken}`).send(data)
+
+    beforeEach(async () => {
+      epic = await newTask({ title: "Epic" })
+      story = await newTask({ title: "Story", parent: epic._id })
+      design = await newTask({ title: "Design", blockedBy: [story._id] })
+    })
+
+    it("should create subtasks and dependencies within the organization", async () => {
+      const response = await request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Subtask", category: "Bug", parent: story._id, blockedBy: [design._id] })
+        .expect(201)
+
+      expect(response.body.parent).toBe(story._id.toString())
+      expect(response.body.blockedBy).toEqual([design._id.toString()])
+
+      await request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Orphan", category: "Bug", parent: new mongoose.Types.ObjectId() })
+        .expect(400)
+    })
+
+    it("should reject parent and dependency cycles", async () => {
+      await update(epic, { parent: epic._id }).expect(400)
+      await update(epic, { parent: story._id }).expect(400)
+      await update(story, { blockedBy: [design._id] }).expect(400)
+      await update(design, { blockedBy: [design._id] }).expect(400)
+
+      await update(design, { parent: story._id }).expect(200)
+    })
+
+    it("should only complete a parent with open subtasks when an admin forces it", async () => {
+      const blocked = await update(epic, { status: "Completed" }).expect(409)
+      expect(blocked.body.openSubtasks.map((task) => task.title)).toEqual(["Story"])
+
+      const forced = await update(epic, { status: "Completed", force: true }).expect(200)
+      expect(forced.body.status).toBe("Completed")
+
+      await update(story, { status: "Completed" }).expect(200)
+    })
+
+    it("should include the subtree and dependency graph", async () => {
+      const subtask = await newTask({ title: "Subtask", parent: story._id })
+
+      const response = await request(app)
+        .get(`/api/tasks/${epic._id}?include=subtasks`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.subtasks).toHaveLength(1)
+      expect(response.body.subtasks[0].title).toBe("Story")
+      expect(response.body.subtasks[0].subtasks[0]._id).toBe(subtask._id.toString())
+
+      const graph = await request(app)
+        .get(`/api/tasks/${design._id}?include=dependencies`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(graph.body.dependencies.nodes).toHaveLength(2)
+      expect(graph.body.dependencies.edges).toEqual([{ from: story._id.toString(), to: design._id.toString() }])
+
+      await request(app)
+        .get(`/api/tasks/${epic._id}?include=everything`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400)
+    })
+
+    it("should unlink related tasks when a task is purged", async () => {
+      await request(app).delete(`/api/tasks/${story._id}`).set("Authorization", `Bearer ${adminToken}`).expect(200)
+
+      // Links survive the trash so a restore brings them back, but trashed tasks are not shown
+      const graph = await request(app)
+        .get(`/api/tasks/${design._id}?include=dependencies`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(graph.body.dependencies.nodes).toHaveLength(1)
+
+      await request(app)
+        .delete(`/api/tasks/trash/${story._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      const remaining = await Task.findById(design._id)
+      expect(remaining.blockedBy).toHaveLength(0)
+    })
+  })
+
+  describe("Recurring tasks", () => {
+    const DAY = 24 * 60 * 60 * 1000
+    let dueDate
+
+    beforeEach(() => {
+      dueDate = new Date(Date.now() + DAY)
+    })
+
+    const createRecurring = (recurrence, data = {}) =>
+      request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Rotate credentials", category: "Improvement", dueDate, recurrence, ...data })
+
+    const update = (id, data, scope) =>
+      request(app)
+        .put(`/api/tasks/${id}${scope ? `?scope=${scope}` : ""}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(data)
+
+    const occurrences = () => Task.find({ series: { $exists: true } }).sort({ occurrence: 1 })
+
+    it("should validate recurrence rules", async () => {
+      await createRecurring({ frequency: "yearly" }).expect(400)
+      await createRecurring({ frequency: "daily", count: 2, endDate: dueDate }).expect(400)
+      await createRecurring({ frequency: "daily" }, { dueDate: undefined }).expect(400)
+    })
+
+    it("should create the next occurrence once the current one is completed", async () => {
+      const created = await createRecurring({ frequency: "weekly" }).expect(201)
+
+      const fetched = await request(app)
+        .get(`/api/tasks/${created.body._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(fetched.body.series.recurrence.weekdays).toEqual([dueDate.getUTCDay()])
+
+      expect(await recurringTasksJob.handler()).toBe(0)
+
+      await update(created.body._id, { status: "Completed" }).expect(200)
+      expect(await recurringTasksJob.handler()).toBe(1)
+      expect(await recurringTasksJob.handler()).toBe(0)
+
+      const [first, second] = await occurrences()
+      expect(first.recurrenceHandled).toBe(true)
+      expect(second.occurrence).toBe(2)
+      expect(second.status).toBe("Todo")
+      expect(second.dueDate.getTime()).toBe(dueDate.getTime() + 7 * DAY)
+    })
+
+    it("should create the next occurrence when the due date passes and stop after count", async () => {
+      const created = await createRecurring({ frequency: "daily", count: 2 }).expect(201)
+      await Task.updateOne({ _id: created.body._id }, { dueDate: new Date(Date.now() - DAY) })
+
+      expect(await recurringTasksJob.handler()).toBe(1)
+
+      const [, second] = await occurrences()
+      expect(second.dueDate.getTime()).toBeGreaterThan(Date.now())
+
+      await update(second._id, { status: "Completed" }).expect(200)
+      expect(await recurringTasksJob.handler()).toBe(0)
+      expect((await TaskSeries.findById(second.series)).endedAt).toBeDefined()
+    })
+
+    it("should apply edits to this occurrence or all future occurrences", async () => {
+      const created = await createRecurring({ frequency: "daily" }).expect(201)
+
+      await update(created.body._id, { title: "Rotate staging credentials" }, "this").expect(200)
+      await update(created.body._id, { priority: "High" }, "future").expect(200)
+      await update(created.body._id, { recurrence: { frequency: "monthly" } }).expect(400)
+
+      await update(created.body._id, { status: "Completed" }).expect(200)
+      await recurringTasksJob.handler()
+
+      const [, second] = await occurrences()
+      expect(second.title).toBe("Rotate credentials")
+      expect(second.priority).toBe("High")
+    })
+
+    it("should keep future occurrences in priority order after a series edit", async () => {
+      const created = await createRecurring({ frequency: "daily" }).expect(201)
+      await update(created.body._id, { status: "Completed" }).expect(200)
+      await recurringTasksJob.handler()
+      await request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Medium task", category: "Bug", priority: "Medium" })
+        .expect(201)
+
+      // The open second occurrence is updated in place
+      await update(created.body._id, { priority: "High" }, "future").expect(200)
+
+      const [, second] = await occurrences()
+      const response = await request(app)
+        .get("/api/tasks?sort=-priority")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(response.body.tasks[0]._id).toBe(second._id.toString())
+      expect(second.priorityRank).toBe(Task.PRIORITY_RANKS.High)
+    })
+
+    it("should end the series when deleting all future occurrences", async () => {
+      const created = await createRecurring({ frequency: "daily" }).expect(201)
+
+      await request(app)
+        .delete(`/api/tasks/${created.body._id}?scope=future`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(await recurringTasksJob.handler()).toBe(0)
+      expect(await occurrences()).toHaveLength(0)
+      expect((await TaskSeries.findById(created.body.series)).endedAt).toBeDefined()
+    })
+  })
+
+  describe("DELETE /api/tasks/:id", () => {
+    let task
+
+    beforeEach(async () => {
+      task = new Task({
+        title: "Test Task",
+        category: "Bug",
+        createdBy: adminUser._id,
+        organization: organization._id,
+      })
+      await task.save()
+    })
+
+    it("should delete task as admin", async () => {
+      await request(app).delete(`/api/tasks/${task._id}`).set("Authorization", `Bearer ${adminToken}`).expect(200)
+
+      const deletedTask = await Task.findById(task._id)
+      expect(deletedTask).toBeNull()
+
+      const trashed = await Task.findOne({ _id: task._id, deletedAt: { $ne: null } })
+      expect(trashed.deletedBy.toString()).toBe(adminUser._id.toString())
+    })
+
+    it("should not delete task as member", async () => {
+      await request(app).delete(`/api/tasks/${task._id}`).set("Authorization", `Bearer ${memberToken}`).expect(403)
+    })
+
+    it("should not delete non-existent task", async () => {
+      const fakeId = new mongoose.Types.ObjectId()
+
+      await request(app).delete(`/api/tasks/${fakeId}`).set("Authorization", `Bearer ${adminToken}`).expect(404)
+    })
+  })
+
+  describe("Task trash", () => {
+    let task
+
+    beforeEach(async () => {
+      task = await Task.create({
+        title: "Quarterly report",
+        category: "Feature",
+        createdBy: adminUser._id,
+        assignedTo: memberUser._id,
+        organization: organization._id,
+      })
+      await Task.create({
+        title: "Keep me",
+        category: "Bug",
+        createdBy: adminUser._id,
+        organization: organization._id,
+      })
+    })
+
+    const trash = (id) =>
+      request(app).delete(`/api/tasks/${id}`).set("Authorization", `Bearer ${adminToken}`).expect(200)
+
+    it("should hide trashed tasks from lists, search and stats", async () => {
+      await Task.init()
+      await trash(task._id)
+
+      const list = await request(app).get("/api/tasks").set("Authorization", `Bearer ${adminToken}`).expect(200)
+      expect(list.body.tasks.map((listed) => listed.title)).toEqual(["Keep me"])
+
+      const search = await request(app)
+        .get("/api/tasks?q=quarterly")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(search.body.tasks).toHaveLength(0)
+
+      const stats = await request(app)
+        .get("/api/tasks/stats/overview")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(stats.body.total).toBe(1)
+
+      await request(app).get(`/api/tasks/${task._id}`).set("Authorization", `Bearer ${adminToken}`).expect(404)
+    })
+
+    it("should list the trash with purge dates", async () => {
+      await trash(task._id)
+
+      const response = await request(app)
+        .get("/api/tasks/trash")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.retentionDays).toBe(30)
+      expect(response.body.tasks).toHaveLength(1)
+      expect(response.body.tasks[0].deletedBy.email).toBe("admin@example.com")
+      const kept = new Date(response.body.tasks[0].purgeAt) - new Date(response.body.tasks[0].deletedAt)
+      expect(kept).toBe(30 * 24 * 60 * 60 * 1000)
+
+      await request(app).get("/api/tasks/trash").set("Authorization", `Bearer ${memberToken}`).expect(403)
+    })
+
+    it("should restore a trashed task", async () => {
+      await trash(task._id)
+
+      const response = await request(app)
+        .post(`/api/tasks/trash/${task._id}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.deletedAt).toBeNull()
+      expect(response.body.assignedTo.email).toBe("member@example.com")
+      await request(app).get(`/api/tasks/${task._id}`).set("Authorization", `Bearer ${adminToken}`).expect(200)
+
+      const activity = await TaskActivity.find({ task: task._id }).sort({ createdAt: 1, _id: 1 })
+      expect(activity.map((entry) => entry.type)).toEqual(["deleted", "restored"])
+
+      // Only tasks in the trash can be restored
+      await request(app)
+        .post(`/api/tasks/trash/${task._id}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(404)
+    })
+
+    it("should reset a category removed while the task was in the trash", async () => {
+      await trash(task._id)
+      await Organization.updateOne({ _id: organization._id }, { $set: { categories: ["Bug", "Chore"] } })
+
+      const response = await request(app)
+        .post(`/api/tasks/trash/${task._id}/restore`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.category).toBe("Bug")
+    })
+
+    it("should only let admins purge tasks", async () => {
+      await trash(task._id)
+      const purge = (token) =>
+        request(app).delete(`/api/tasks/trash/${task._id}`).set("Authorization", `Bearer ${token}`)
+
+      await purge(memberToken).expect(403)
+      await purge(adminToken).expect(200)
+
+      expect(await Task.findOne({ _id: task._id, deletedAt: { $ne: null } })).toBeNull()
+      await purge(adminToken).expect(404)
+    })
+
+    it("should empty the trash", async () => {
+      await trash(task._id)
+
+      const response = await request(app)
+        .delete("/api/tasks/trash")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.purged).toBe(1)
+      expect(await Task.countDocuments({ organization: organization._id })).toBe(1)
+    })
+
+    it("should purge tasks past the organization's retention period", async () => {
+      await Organization.updateOne({ _id: organization._id }, { $set: { "settings.trashRetentionDays": 7 } })
+      await trash(task._id)
+      expect(await trashRetentionJob.handler()).toBe(0)
+
+      const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000)
+      await Task.updateOne({ _id: task._id, deletedAt: { $ne: null } }, { $set: { deletedAt: eightDaysAgo } })
+
+      expect(await trashRetentionJob.handler()).toBe(1)
+      expect(await Task.findOne({ _id: task._id, deletedAt: { $ne: null } })).toBeNull()
+    })
+  })
+
+  describe("POST /api/tasks/bulk", () => {
+    let tasks
+
+    beforeEach(async () => {
+      tasks = await Task.create(
+        ["First", "Second", "Third"].map((title, index) => ({
+          title,
+          category: "Bug",
+          priority: index === 2 ? "High" : "Low",
+          assignedTo: index === 0 ? memberUser._id : undefined,
+          createdBy: adminUser._id,
+          organization: organization._id,
+        })),
+      )
+    })
+
+    const bulk = (token, body) =>
+      request(app).post("/api/tasks/bulk").set("Authorization", `Bearer ${token}`).send(body)
+
+    it("should update tasks by id and report each one", async () => {
+      const missingId = new mongoose.Types.ObjectId().toString()
+      const response = await bulk(adminToken, {
+        action: "update",
+        ids: [tasks[0]._id, tasks[1]._id, missingId],
+        changes: { status: "In Progress", priority: "Medium" },
+      }).expect(200)
+
+      expect(response.body).toMatchObject({ action: "update", dryRun: false, matched: 3, succeeded: 2, failed: 1 })
+      const failure = response.body.results.find((result) => !result.success)
+      expect(failure).toEqual({ id: missingId, success: false, error: { status: 404, message: "Task not found" } })
+
+      const updated = await Task.find({ _id: { $in: [tasks[0]._id, tasks[1]._id] } })
+      updated.forEach((task) => expect(task).toMatchObject({ status: "In Progress", priority: "Medium" }))
+      expect(await TaskActivity.countDocuments({ type: "status_changed" })).toBe(2)
+    })
+
+    it("should report changes without saving on a dry run", async () => {
+      const response = await bulk(adminToken, {
+        action: "update",
+        ids: [tasks[0]._id],
+        changes: { priority: "High" },
+        dryRun: true,
+      }).expect(200)
+
+      expect(response.body.dryRun).toBe(true)
+      expect(response.body.results[0].changes).toEqual([{ field: "priority", from: "Low", to: "High" }])
+      expect((await Task.findById(tasks[0]._id)).priority).toBe("Low")
+    })
+
+    it("should select tasks with the list filters", async () => {
+      const response = await bulk(adminToken, {
+        action: "update",
+        filter: { priority: "Low", unassigned: true },
+        changes: { assignedTo: memberUser._id },
+      }).expect(200)
+
+      expect(response.body.results.map((result) => result.title)).toEqual(["Second"])
+      expect((await Task.findById(tasks[1]._id)).assignedTo).toEqual(memberUser._id)
+    })
+
+    it("should reject invalid filters and changes", async () => {
+      const invalidFilter = await bulk(adminToken, {
+        action: "update",
+        filter: { priority: "Urgent" },
+        changes: { priority: "Low" },
+      }).expect(400)
+      expect(invalidFilter.body.errors[0].path).toBe("filter.priority")
+
+      await bulk(adminToken, { action: "update", ids: [tasks[0]._id], changes: { title: "Nope" } }).expect(400)
+      await bulk(adminToken, { action: "update", ids: [tasks[0]._id], changes: { status: "Nope" } }).expect(400)
+      await bulk(adminToken, { action: "delete" }).expect(400)
+    })
+
+    it("should apply the single-task role rules", async () => {
+      const response = await bulk(memberToken, {
+        action: "update",
+        ids: [tasks[0]._id, tasks[1]._id],
+        changes: { status: "In Progress" },
+      }).expect(200)
+
+      // Tasks the member cannot see are reported as missing, without their title
+      const hidden = response.body.results.find((result) => result.id === tasks[1]._id.toString())
+      expect(hidden).toEqual({
+        id: tasks[1]._id.toString(),
+        success: false,
+        error: { status: 404, message: "Task not found" },
+      })
+      expect(response.body.succeeded).toBe(1)
+      expect((await Task.findById(tasks[1]._id)).status).toBe("Todo")
+
+      const priority = await bulk(memberToken, {
+        action: "update",
+        ids: [tasks[0]._id],
+        changes: { priority: "High" },
+      }).expect(200)
+      expect(priority.body.results[0].error.message).toBe("Members can only update task status")
+
+      await bulk(memberToken, { action: "delete", ids: [tasks[0]._id] }).expect(403)
+    })
+
+    it("should not complete tasks with open subtasks unless forced", async () => {
+      await Task.create({
+        title: "Child",
+        category: "Bug",
+        parent: tasks[2]._id,
+        createdBy: adminUser._id,
+        organization: organization._id,
+      })
+
+      const response = await bulk(adminToken, {
+        action: "update",
+        ids: [tasks[1]._id, tasks[2]._id],
+        changes: { status: "Completed" },
+      }).expect(200)
+      expect(response.body.results[1].error).toMatchObject({ status: 409, message: "Task has open subtasks" })
+
+      const forced = await bulk(adminToken, {
+        action: "update",
+        ids: [tasks[2]._id],
+        changes: { status: "Completed" },
+        force: true,
+      }).expect(200)
+      expect(forced.body.succeeded).toBe(1)
+    })
+
+    it("should delete tasks", async () => {
+      const response = await bulk(adminToken, { action: "delete", ids: [tasks[0]._id, tasks[1]._id] }).expect(200)
+
+      expect(response.body.succeeded).toBe(2)
+      expect(await Task.countDocuments({ organization: organization._id })).toBe(1)
+    })
+  })
+
+  describe("Task import and export", () => {
+    beforeEach(async () => {
+      await Task.create([
+        {
+          title: "Fix login",
+          category: "Bug",
+          priority: "High",
+          assignedTo: memberUser._id,
+          createdBy: adminUser._id,
+          organization: organization._id,
+        },
+        { title: "Write docs", category: "Feature", createdBy: adminUser._id, organization: organization._id },
+      ])
+    })
+
+    it("should export the filtered tasks as CSV", async () => {
+      const response = await request(app)
+        .get("/api/tasks/export?priority=High")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.headers["content-type"]).toMatch(/text\/csv/)
+      const [header, ...rows] = response.text.trim().split("\r\n")
+      expect(header.split(",").slice(0, 8)).toEqual([
+        "id",
+        "title",
+        "description",
+        "status",
+        "priority",
+        "category",
+        "dueDate",
+        "assignee",
+      ])
+      expect(rows).toHaveLength(1)
+      const fixLogin = await Task.findOne({ title: "Fix login" })
+      expect(rows[0].split(",")[0]).toBe(fixLogin._id.toString())
+      expect(rows[0]).toContain("Fix login")
+      expect(rows[0]).toContain("member@example.com")
+    })
+
+    it("should export NDJSON with the member's visibility", async () => {
+      const response = await request(app)
+        .get("/api/tasks/export?format=ndjson")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+
+      const tasks = response.text.trim().split("\n").map((line) => JSON.parse(line))
+      expect(tasks.map((task) => task.title)).toEqual(["Fix login"])
+    })
+
+    it("should preview an import with a column mapping", async () => {
+      const response = await request(app)
+        .post("/api/tasks/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          rows: [{ Summary: "Imported", Kind: "feature", Owner: "MEMBER@example.com", Due: "2030-01-15" }],
+          mapping: { title: "Summary", category: "Kind", assignee: "Owner", dueDate: "Due" },
+          dryRun: true,
+        })
+        .expect(200)
+
+      expect(response.body).toMatchObject({ dryRun: true, total: 1, valid: 1, invalid: 0 })
+      expect(response.body.preview[0]).toMatchObject({
+        row: 1,
+        title: "Imported",
+        category: "Feature",
+        status: "Todo",
+        assignee: "member@example.com",
+      })
+      expect(await Task.countDocuments({ title: "Imported" })).toBe(0)
+    })
+
+    it("should import a CSV file", async () => {
+      const csv = [
+        "title,category,priority,assignee",
+        "First,Bug,Low,member@example.com",
+        '"Second, with comma",Feature,,',
+      ].join("\r\n")
+
+      const response = await request(app)
+        .post("/api/tasks/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .attach("file", Buffer.from(csv), "tasks.csv")
+        .expect(201)
+
+      expect(response.body.imported).toHaveLength(2)
+      const first = await Task.findById(response.body.imported[0].id)
+      expect(first).toMatchObject({ title: "First", priority: "Low", status: "Todo" })
+      expect(first.assignedTo).toEqual(memberUser._id)
+      expect(await Task.exists({ title: "Second, with comma", priority: "Medium" })).toBeTruthy()
+    })
+
+    it("should report invalid rows and import nothing", async () => {
+      const response = await request(app)
+        .post("/api/tasks/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          rows: [
+            { title: "Valid", category: "Bug" },
+            { title: "", category: "Bug", assignee: "stranger@example.com" },
+            { title: "Bad", category: "Chore", dueDate: "someday" },
+          ],
+        })
+        .expect(400)
+
+      expect(response.body).toMatchObject({ total: 3, valid: 1, invalid: 2 })
+      expect(response.body.errors.map((error) => error.row)).toEqual([2, 3])
+      expect(response.body.errors[0].errors).toContain(
+        "Assignee is not a member of the organization: stranger@example.com",
+      )
+      expect(await Task.countDocuments({ organization: organization._id })).toBe(2)
+    })
+
+    it("should import its own export", async () => {
+      const exported = await request(app).get("/api/tasks/export").set("Authorization", `Bearer ${adminToken}`)
+
+      const response = await request(app)
+        .post("/api/tasks/import")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .attach("file", Buffer.from(exported.text), "tasks.csv")
+        .expect(201)
+
+      expect(response.body.imported).toHaveLength(2)
+      expect(await Task.countDocuments({ title: "Fix login", assignedTo: memberUser._id })).toBe(2)
+    })
+
+    it("should not allow members to import", async () => {
+      await request(app)
+        .post("/api/tasks/import")
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ rows: [{ title: "Nope", category: "Bug" }] })
+        .expect(403)
+    })
+  })
+
+  describe("Task activity", () => {
+    it("should record field-level changes with the actor", async () => {
+      const created = await request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Tracked", category: "Bug" })
+        .expect(201)
+
+      await request(app)
+        .put(`/api/tasks/${created.body._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ status: "In Progress", assignedTo: memberUser._id, priority: "High" })
+        .expect(200)
+
+      const response = await request(app)
+        .get(`/api/tasks/${created.body._id}/activity`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      const types = response.body.activity.map((entry) => entry.type).sort()
+      expect(types).toEqual(["assigned", "created", "status_changed", "updated"])
+
+      const statusChange = response.body.activity.find((entry) => entry.type === "status_changed")
+      expect(statusChange.changes).toEqual([{ field: "status", from: "Todo", to: "In Progress" }])
+      expect(statusChange.actor._id).toBe(adminUser._id.toString())
+    })
+
+    it("should filter the organization feed by user", async () => {
+      const created = await request(app)
+        .post("/api/tasks")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ title: "Feed", category: "Bug", assignedTo: memberUser._id })
+        .expect(201)
+
+      await request(app)
+        .put(`/api/tasks/${created.body._id}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ status: "Completed" })
+        .expect(200)
+
+      const response = await request(app)
+        .get(`/api/tasks/activity?user=${memberUser._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      expect(response.body.activity).toHaveLength(1)
+      expect(response.body.activity[0].type).toBe("status_changed")
+    })
+
+    it("should not expose the feed to members", async () => {
+      await request(app).get("/api/tasks/activity").set("Authorization", `Bearer ${memberToken}`).expect(403)
+    })
+  })
+
+  describe("Task comments", () => {
+    let task
+
+    beforeEach(async () => {
+      task = new Task({
+        title: "Commented Task",
+        category: "Bug",
+        createdBy: adminUser._id,
+        organization: organization._id,
+        assignedTo: memberUser._id,
+      })
+      await task.save()
+    })
+
+    it("should add a comment and resolve mentions", async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ text: "Ready for review @admin@example.com" })
+        .expect(201)
+
+      expect(response.body.text).toBe("Ready for review @admin@example.com")
+      expect(response.body.user._id).toBe(memberUser._id.toString())
+      expect(response.body.mentions).toHaveLength(1)
+      expect(response.body.mentions[0]._id).toBe(adminUser._id.toString())
+    })
+
+    it("should paginate comments", async () => {
+      for (const text of ["First", "Second", "Third"]) {
+        task.comments.push({ user: adminUser._id, text })
+      }
+      await task.save()
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/comments?page=2&limit=2`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+
+      expect(response.body.comments).toHaveLength(1)
+      expect(response.body.comments[0].text).toBe("Third")
+      expect(response.body.pagination.total).toBe(3)
+      expect(response.body.pagination.pages).toBe(2)
+    })
+
+    it("should not comment on tasks hidden from member", async () => {
+      const otherTask = new Task({
+        title: "Other Task",
+        category: "Bug",
+        createdBy: adminUser._id,
+        organization: organization._id,
+      })
+      await otherTask.save()
+
+      await request(app)
+        .post(`/api/tasks/${otherTask._id}/comments`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ text: "Hello" })
+        .expect(403)
+    })
+
+    it("should let the author edit a comment", async () => {
+      task.comments.push({ user: memberUser._id, text: "Original" })
+      await task.save()
+      const commentId = task.comments[0]._id
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}/comments/${commentId}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ text: "Edited" })
+        .expect(200)
+
+      expect(response.body.text).toBe("Edited")
+      expect(response.body.editedAt).toBeDefined()
+      expect(response.body.editedBy._id).toBe(memberUser._id.toString())
+    })
+
+    it("should let admin edit any comment but not other members", async () => {
+      task.comments.push({ user: adminUser._id, text: "Admin note" }, { user: memberUser._id, text: "Rude remark" })
+      await task.save()
+      const [adminComment, memberComment] = task.comments
+
+      await request(app)
+        .put(`/api/tasks/${task._id}/comments/${adminComment._id}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .send({ text: "Not mine" })
+        .expect(403)
+
+      const moderated = await request(app)
+        .put(`/api/tasks/${task._id}/comments/${memberComment._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ text: "[removed by moderator]" })
+        .expect(200)
+      expect(moderated.body.text).toBe("[removed by moderator]")
+      expect(moderated.body.user._id).toBe(memberUser._id.toString())
+      expect(moderated.body.editedBy._id).toBe(adminUser._id.toString())
+    })
+
+    it("should let admin delete any comment", async () => {
+      task.comments.push({ user: memberUser._id, text: "Spam" })
+      await task.save()
+      const commentId = task.comments[0]._id
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}/comments/${commentId}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      const updatedTask = await Task.findById(task._id)
+      expect(updatedTask.comments).toHaveLength(0)
+    })
+  })
+
+  describe("Task attachments", () => {
+    let task
+
+    beforeEach(async () => {
+      task = new Task({
+        title: "Task with files",
+        category: "Bug",
+        createdBy: adminUser._id,
+        organization: organization._id,
+        assignedTo: memberUser._id,
+      })
+      await task.save()
+    })
+
+    it("should upload and download an attachment", async () => {
+      const upload = await request(app)
+        .post(`/api/tasks/${task._id}/attachments`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .attach("file", Buffer.from("log output"), "debug.txt")
+        .expect(201)
+
+      expect(upload.body.originalName).toBe("debug.txt")
+      expect(upload.body.size).toBe(10)
+
+      const download = await request(app)
+        .get(`/api/tasks/${task._id}/attachments/${upload.body._id}`)
+        .set("Authorization", `Bearer ${memberToken}`)
+        .expect(200)
+
+      expect(download.text).toBe("log output")
+    })
+
+    it("should reject files over the organization size limit", async () => {
+      organization.settings.maxAttachmentSize = 4
+      await organization.save()
+
+      await request(app)
+        .post(`/api/tasks/${task._id}/attachments`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .attach("file", Buffer.from("too large"), "big.txt")
+        .expect(413)
+    })
+
+    it("should reject disallowed MIME types", async () => {
+      organization.settings.allowedMimeTypes = ["image/*"]
+      await organization.save()
+
+      await request(app)
+        .post(`/api/tasks/${task._id}/attachments`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .attach("file", Buffer.from("notes"), "notes.txt")
+        .expect(415)
+    })
+
+    it("should delete an attachment", async () => {
+      const upload = await request(app)
+        .post(`/api/tasks/${task._id}/attachments`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .attach("file", Buffer.from("data"), "data.txt")
+        .expect(201)
+
+      await request(app)
+        .delete(`/api/tasks/${task._id}/attachments/${upload.body._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+
+      const updatedTask = await Task.findById(task._id)
+      expect(updatedTask.attachments).toHaveLength(0)
     })
   })
 
@@ -0,0 +1,257 @@
+const http = require("http")
+const request = require("supertest")
+const mongoose = require("mongoose")
+const app = require("../server")
+const User = require("../models/User")
+const Organization = require("../models/Organization")
+const Membership = require("../models/Membership")
+const Task = require("../models/Task")
+const Webhook = require("../models/Webhook")
+const WebhookDelivery = require("../models/WebhookDelivery")
+const webhookDeliveries = require("../jobs/webhookDeliveries")
+const { sign } = require("../services/webhooks")
+
+// The receiver below listens on the loopback address
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true"
+
+// Wait for background deliveries
+const waitFor = async (check, timeout = 5000) => {
+  const started = Date.now()
+  while (!(await check())) {
+    if (Date.now() - started > timeout) throw new Error("Timed out waiting for webhook delivery")
+    await new Promise((resolve) => setTimeout(resolve, 25))
+  }
+}
+
+describe("Webhook Endpoints", () => {
+  let adminToken, memberToken, organization, receiver, receiverUrl
+  let received = []
+  let responseStatus = 200
+
+  beforeAll(async () => {
+    const mongoUri = process.env.MONGODB_URI || "mongodb://localhost:27017/task-platform-test"
+    await mongoose.connect(mongoUri)
+
+    // Local endpoint that records what it receives
+    receiver = http.createServer((req, res) => {
+      let body = ""
+      req.on("data", (chunk) => (body += chunk))
+      req.on("end", () => {
+        received.push({ headers: req.headers, body })
+        res.writeHead(responseStatus)
+        res.end("ok")
+      })
+    })
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve))
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`
+  })
+
+  beforeEach(async () => {
+    // Clean up database
+    await User.deleteMany({})
+    await Organization.deleteMany({})
+    await Membership.deleteMany({})
+    await Task.deleteMany({})
+    await Webhook.deleteMany({})
+    await WebhookDelivery.deleteMany({})
+    received = []
+    responseStatus = 200
+
+    const response = await request(app).post("/api/auth/register").send({
+      name: "Admin User",
+      email: "admin@example.com",
+      password: "password123",
+      organizationName: "Test Company",
+    })
+
+    adminToken = response.body.token
+    organization = await Organization.findById(response.body.user.organization.id)
+
+    const memberUser = await User.create({
+      name: "Member User",
+      email: "member@example.com",
+      password: "password123",
+      organization: organization._id,
+      role: "Member",
+    })
+    await Membership.create({ user: memberUser._id, organization: organization._id, role: "Member" })
+
+    const memberLogin = await request(app)
+      .post("/api/auth/login")
+      .send({ email: "member@example.com", password: "password123" })
+    memberToken = memberLogin.body.token
+  })
+
+  afterAll(async () => {
+    await new Promise((resolve) => receiver.close(resolve))
+    await mongoose.connection.close()
+  })
+
+  const createWebhook = (events = ["task.created"]) =>
+    request(app)
+      .post("/api/webhooks")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ url: receiverUrl, events })
+      .expect(201)
+
+  const createTask = () =>
+    request(app)
+      .post("/api/tasks")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ title: "Ship it", category: "Feature" })
+      .expect(201)
+
+  const deliveriesOf = (webhookId) => WebhookDelivery.find({ webhook: webhookId }).sort({ createdAt: 1 })
+
+  describe("Managing webhooks", () => {
+    it("should only show the secret when the webhook is created", async () => {
+      const created = await createWebhook()
+      expect(created.body.secret).toMatch(/^whsec_/)
+
+      const list = await request(app).get("/api/webhooks").set("Authorization", `Bearer ${adminToken}`).expect(200)
+      expect(list.body).toHaveLength(1)
+      expect(list.body[0].secret).toBeUndefined()
+    })
+
+    it("should validate the url and event types", async () => {
+      await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ url: "ftp://example.com", events: ["task.created"] })
+        .expect(400)
+
+      await request(app)
+        .post("/api/webhooks")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ url: receiverUrl, events: ["task.exploded"] })
+        .expect(400)
+    })
+
+    it("should reject internal addresses unless they are allowed", async () => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "false"
+      try {
+        for (const url of ["http://127.0.0.1/hooks", "http://169.254.169.254/latest", "http://[::1]/", receiverUrl]) {
+          await request(app)
+            .post("/api/webhooks")
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ url, events: ["task.created"] })
+            .expect(400)
+        }
+        expect(await Webhook.countDocuments()).toBe(0)
+      } finally {
+        process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true"
+      }
+    })
+
+    it("should be restricted to Admins", async () => {
+      await request(app).get("/api/webhooks").set("Authorization", `Bearer ${memberToken}`).expect(403)
+    })
+
+    it("should rotate the secret", async () => {
+      const created = await createWebhook()
+
+      const rotated = await request(app)
+        .post(`/api/webhooks/${created.body._id}/rotate-secret`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(rotated.body.secret).toMatch(/^whsec_/)
+      expect(rotated.body.secret).not.toBe(created.body.secret)
+    })
+  })
+
+  describe("Deliveries", () => {
+    it("should send signed payloads for subscribed events", async () => {
+      const webhook = await createWebhook()
+      const task = await createTask()
+
+      await waitFor(() => received.length === 1)
+      const [{ headers, body }] = received
+      const payload = JSON.parse(body)
+      expect(payload).toMatchObject({
+        type: "task.created",
+        organization: organization._id.toString(),
+        actor: { name: "Admin User", email: "admin@example.com" },
+        data: { task: { _id: task.body._id, title: "Ship it" } },
+      })
+      expect(headers["x-webhook-event"]).toBe("task.created")
+
+      const [, timestamp, signature] = headers["x-webhook-signature"].match(/^t=(\d+),v1=([0-9a-f]+)$/)
+      expect(sign(webhook.body.secret, timestamp, body)).toBe(signature)
+
+      await waitFor(async () => (await deliveriesOf(webhook.body._id))[0]?.status === "succeeded")
+    })
+
+    it("should not send events the webhook is not subscribed to", async () => {
+      await createWebhook(["member.role_changed"])
+      await createTask()
+
+      await new Promise((resolve) => setTimeout(resolve, 200))
+      expect(received).toHaveLength(0)
+      expect(await WebhookDelivery.countDocuments()).toBe(0)
+    })
+
+    it("should retry failed deliveries with backoff", async () => {
+      responseStatus = 500
+      const webhook = await createWebhook()
+      await createTask()
+
+      await waitFor(async () => (await deliveriesOf(webhook.body._id))[0]?.attempts === 1)
+      let [delivery] = await deliveriesOf(webhook.body._id)
+      expect(delivery.status).toBe("pending")
+      expect(delivery.responseStatus).toBe(500)
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now())
+
+      // Not due yet
+      expect(await webhookDeliveries.handler()).toBe(0)
+
+      responseStatus = 200
+      await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: { nextAttemptAt: new Date(Date.now() - 1000) } })
+      expect(await webhookDeliveries.handler()).toBe(1)
+
+      delivery = await WebhookDelivery.findById(delivery._id)
+      expect(delivery.status).toBe("succeeded")
+      expect(delivery.attempts).toBe(2)
+      expect(received).toHaveLength(2)
+    })
+
+    it("should not deliver to an internal address", async () => {
+      const webhook = await createWebhook()
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "false"
+      try {
+        await createTask()
+        await waitFor(async () => (await deliveriesOf(webhook.body._id))[0]?.attempts === 1)
+      } finally {
+        process.env.WEBHOOK_ALLOW_PRIVATE_URLS = "true"
+      }
+
+      const [delivery] = await deliveriesOf(webhook.body._id)
+      expect(delivery.status).toBe("pending")
+      expect(delivery.error).toMatch(/loopback, private or link-local/)
+      expect(delivery.responseBody).toBeUndefined()
+      expect(received).toHaveLength(0)
+    })
+
+    it("should list deliveries and redeliver one", async () => {
+      const webhook = await createWebhook()
+      await createTask()
+      await waitFor(async () => (await deliveriesOf(webhook.body._id))[0]?.status === "succeeded")
+
+      const log = await request(app)
+        .get(`/api/webhooks/${webhook.body._id}/deliveries`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200)
+      expect(log.body.deliveries).toHaveLength(1)
+      expect(log.body.deliveries[0].payload).toBeUndefined()
+
+      const redelivery = await request(app)
+        .post(`/api/webhooks/${webhook.body._id}/deliveries/${log.body.deliveries[0]._id}/redeliver`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(201)
+      expect(redelivery.body).toMatchObject({ status: "succeeded", redeliveryOf: log.body.deliveries[0]._id })
+
+      // Receivers can tell a redelivery by the unchanged event id
+      expect(received).toHaveLength(2)
+      expect(JSON.parse(received[1].body).id).toBe(JSON.parse(received[0].body).id)
+    })
+  })
+})
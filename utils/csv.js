@@ -0,0 +1,89 @@
+const isPlainObject = (value) => [Object.prototype, null].includes(Object.getPrototypeOf(value))
+
+// Plain objects and arrays are written as JSON; other objects, such as ObjectIds, as their string form
+const csvText = (value) => {
+  if (value instanceof Date) return value.toISOString()
+  if (typeof value === "object" && (Array.isArray(value) || isPlainObject(value))) return JSON.stringify(value)
+  return String(value)
+}
+
+// Quote a value for CSV. Values that spreadsheet apps would run as formulas are prefixed with '.
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return ""
+  if (typeof value === "number" || typeof value === "boolean") return String(value)
+
+  let text = csvText(value)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsvRow = (values) => values.map(escapeCsvValue).join(",") + "\r\n"
+
+// Undo the formula prefix added by escapeCsvValue
+const unescapeCsvValue = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text)
+
+// Parse CSV text into rows of values. Quoted values may contain commas, line breaks and
+// doubled quotes; blank lines are skipped. Throws when a quoted value is not closed.
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, "")
+  const rows = []
+  let row = []
+  let value = ""
+  let quoted = false
+
+  const endValue = () => {
+    row.push(unescapeCsvValue(value))
+    value = ""
+  }
+  const endRow = () => {
+    endValue()
+    if (row.length > 1 || row[0] !== "") rows.push(row)
+    row = []
+  }
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index]
+
+    if (quoted) {
+      if (char !== '"') {
+        value += char
+      } else if (input[index + 1] === '"') {
+        value += '"'
+        index += 1
+      } else {
+        quoted = false
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      endValue()
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && input[index + 1] === "\n") index += 1
+      endRow()
+    } else {
+      value += char
+    }
+  }
+
+  if (quoted) throw new Error("CSV has an unterminated quoted value")
+  if (value !== "" || row.length > 0) endRow()
+  return rows
+}
+
+// Parse CSV with a header row into { columns, records }, one object per row keyed by column
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text)
+  const columns = header.map((column) => column.trim())
+
+  if (columns.some((column) => !column)) throw new Error("CSV header has an empty column name")
+  const duplicates = columns.filter((column, index) => columns.indexOf(column) !== index)
+  if (duplicates.length > 0) throw new Error(`CSV header repeats columns: ${[...new Set(duplicates)].join(", ")}`)
+
+  const records = rows.map((values) =>
+    Object.fromEntries(columns.map((column, index) => [column, values[index] ?? ""])),
+  )
+  return { columns, records }
+}
+
+module.exports = { escapeCsvValue, toCsvRow, parseCsv, parseCsvRecords }
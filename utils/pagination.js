@@ -0,0 +1,75 @@
+const mongoose = require("mongoose")
+
+// Sortable task fields exposed through ?sort=, mapped to the stored field
+const TASK_SORT_FIELDS = {
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  dueDate: "dueDate",
+  title: "title",
+  // Priority sorts by semantic order (Low < Medium < High), not alphabetically
+  priority: "priorityRank",
+}
+
+const DATE_FIELDS = ["createdAt", "updatedAt", "dueDate"]
+
+// "-dueDate" -> { key: "-dueDate", field: "dueDate", direction: -1 }
+const parseSort = (sort = "-createdAt") => {
+  const direction = sort.startsWith("-") ? -1 : 1
+  const name = sort.replace(/^[-+]/, "")
+
+  return { key: `${direction === -1 ? "-" : ""}${name}`, field: TASK_SORT_FIELDS[name], direction }
+}
+
+const isValidSort = (sort) => Boolean(parseSort(sort).field)
+
+// Cursors are opaque to clients: base64url JSON of the sort key, the last sort value and the last id
+const encodeCursor = (sort, document) =>
+  Buffer.from(JSON.stringify({ s: sort.key, v: document[sort.field] ?? null, id: document._id })).toString(
+    "base64url",
+  )
+
+// Returns { value, id } or null when the cursor is malformed or was issued for another sort
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+    if (s !== sort.key || !mongoose.isValidObjectId(id)) return null
+
+    const isDate = DATE_FIELDS.includes(sort.field)
+    const expectedType = sort.field === "priorityRank" ? "number" : "string"
+    if (v !== null && (typeof v !== expectedType || (isDate && Number.isNaN(Date.parse(v))))) {
+      return null
+    }
+
+    return { value: v === null ? null : isDate ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) }
+  } catch (error) {
+    return null
+  }
+}
+
+// Filter for documents after the cursor position in (field, _id) order.
+// MongoDB sorts missing/null values first ascending and last descending.
+const buildCursorFilter = ({ field, direction }, { value, id }) => {
+  if (direction === 1) {
+    if (value === null) {
+      return { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] }
+    }
+    return { $or: [{ [field]: { $gt: value } }, { [field]: value, _id: { $gt: id } }] }
+  }
+
+  if (value === null) {
+    return { [field]: null, _id: { $lt: id } }
+  }
+  return { $or: [{ [field]: { $lt: value } }, { [field]: value, _id: { $lt: id } }, { [field]: null }] }
+}
+
+const sortSpec = ({ field, direction }) => ({ [field]: direction, _id: direction })
+
+module.exports = {
+  TASK_SORT_FIELDS,
+  parseSort,
+  isValidSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  sortSpec,
+}
@@ -0,0 +1,109 @@
+const FREQUENCIES = ["daily", "weekly", "monthly"]
+const DAY = 24 * 60 * 60 * 1000
+const WEEK = 7 * DAY
+
+// Returns a list of problems; empty when the rule is valid
+const validateRecurrence = (rule) => {
+  const problems = []
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) return ["recurrence must be an object"]
+
+  const { frequency, interval, weekdays, dayOfMonth, endDate, count } = rule
+
+  if (!FREQUENCIES.includes(frequency)) {
+    problems.push(`frequency must be one of: ${FREQUENCIES.join(", ")}`)
+  }
+  if (interval !== undefined && !(Number.isInteger(interval) && interval >= 1 && interval <= 365)) {
+    problems.push("interval must be a whole number between 1 and 365")
+  }
+  if (weekdays !== undefined) {
+    const valid = Array.isArray(weekdays) && weekdays.length > 0
+    if (!valid || weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+      problems.push("weekdays must list days from 0 (Sunday) to 6 (Saturday)")
+    }
+    if (frequency !== "weekly") problems.push("weekdays only apply to weekly recurrence")
+  }
+  if (dayOfMonth !== undefined) {
+    if (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31) {
+      problems.push("dayOfMonth must be between 1 and 31")
+    }
+    if (frequency !== "monthly") problems.push("dayOfMonth only applies to monthly recurrence")
+  }
+  if (endDate !== undefined && endDate !== null && Number.isNaN(new Date(endDate).getTime())) {
+    problems.push("endDate must be an ISO 8601 date")
+  }
+  if (count !== undefined && count !== null && !(Number.isInteger(count) && count >= 1)) {
+    problems.push("count must be a whole number of at least 1")
+  }
+  if (endDate && count) {
+    problems.push("Use either endDate or count, not both")
+  }
+
+  return problems
+}
+
+// Fill in defaults from the first due date: weekly rules repeat on its weekday, monthly on its day
+const normalizeRecurrence = (rule, dueDate) => {
+  const due = new Date(dueDate)
+  return {
+    frequency: rule.frequency,
+    interval: rule.interval || 1,
+    weekdays: rule.frequency === "weekly" ? [...new Set(rule.weekdays || [due.getUTCDay()])].sort() : undefined,
+    dayOfMonth: rule.frequency === "monthly" ? rule.dayOfMonth || due.getUTCDate() : undefined,
+    endDate: rule.endDate ? new Date(rule.endDate) : undefined,
+    count: rule.count || undefined,
+    // Weekly and multi-day intervals are counted from here
+    anchor: due,
+  }
+}
+
+const startOfUtcWeek = (date) => {
+  const start = new Date(date)
+  start.setUTCHours(0, 0, 0, 0)
+  return start.getTime() - start.getUTCDay() * DAY
+}
+
+const daysInUtcMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+
+// The occurrence after `from`, keeping its time of day
+const stepOnce = (rule, from) => {
+  if (rule.frequency === "daily") {
+    return new Date(from.getTime() + rule.interval * DAY)
+  }
+
+  if (rule.frequency === "weekly") {
+    const anchorWeek = startOfUtcWeek(rule.anchor)
+    for (let candidate = new Date(from.getTime() + DAY); ; candidate = new Date(candidate.getTime() + DAY)) {
+      const weeksSinceAnchor = Math.round((startOfUtcWeek(candidate) - anchorWeek) / WEEK)
+      if (weeksSinceAnchor % rule.interval === 0 && rule.weekdays.includes(candidate.getUTCDay())) {
+        return candidate
+      }
+    }
+  }
+
+  // Monthly: the same day, or the last day of shorter months
+  const next = new Date(from)
+  const month = from.getUTCMonth() + rule.interval
+  next.setUTCDate(1)
+  next.setUTCMonth(month)
+  next.setUTCDate(Math.min(rule.dayOfMonth, daysInUtcMonth(next.getUTCFullYear(), next.getUTCMonth())))
+  return next
+}
+
+// Due date of the occurrence after the one due at `previousDue`, skipping occurrences that are
+// already in the past at `now`. Returns null once the rule has ended.
+const nextOccurrence = (rule, previousDue, { now = new Date(), occurrences = 1 } = {}) => {
+  if (rule.count && occurrences >= rule.count) return null
+
+  let next = stepOnce(rule, new Date(previousDue))
+  while (next < now) next = stepOnce(rule, next)
+
+  if (rule.endDate && next > rule.endDate) return null
+  return next
+}
+
+module.exports = {
+  FREQUENCIES,
+  validateRecurrence,
+  normalizeRecurrence,
+  nextOccurrence,
+}
@@ -0,0 +1,66 @@
+const SNIPPET_RADIUS = 60
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char])
+
+// Words and quoted phrases of a $text search string, without negated terms
+const searchTerms = (q) => {
+  const terms = []
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g
+  let match
+
+  while ((match = pattern.exec(q))) {
+    const negated = match[1] || match[3]
+    const term = (match[2] || match[4]).trim()
+    if (!negated && term) terms.push(term)
+  }
+
+  return terms
+}
+
+// HTML-escaped excerpt of text around the first term match, with matches wrapped in <mark>.
+// Terms also match as word prefixes to roughly follow MongoDB's stemming.
+const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+  if (!text || terms.length === 0) return null
+
+  const source = `\\b(?:${terms.map(escapeRegExp).join("|")})\\w*`
+  const first = new RegExp(source, "i").exec(text)
+  if (!first) return null
+
+  const start = Math.max(0, first.index - radius)
+  const end = Math.min(text.length, first.index + first[0].length + radius)
+  const excerpt = text.slice(start, end)
+
+  let snippet = ""
+  let last = 0
+  for (const match of excerpt.matchAll(new RegExp(source, "gi"))) {
+    snippet += escapeHtml(excerpt.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`
+    last = match.index + match[0].length
+  }
+  snippet += escapeHtml(excerpt.slice(last))
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`
+}
+
+// Highlighted snippets for the task fields covered by the text index
+const highlightTask = (task, q) => {
+  const terms = searchTerms(q)
+  const highlights = {}
+
+  const title = buildSnippet(task.title, terms, Infinity)
+  if (title) highlights.title = title
+
+  const description = buildSnippet(task.description, terms)
+  if (description) highlights.description = description
+
+  const comments = (task.comments || [])
+    .map((comment) => ({ commentId: comment._id, snippet: buildSnippet(comment.text, terms) }))
+    .filter((comment) => comment.snippet)
+  if (comments.length > 0) highlights.comments = comments
+
+  return highlights
+}
+
+module.exports = { searchTerms, buildSnippet, highlightTask }
@@ -0,0 +1,156 @@
+// Categories of organizations that have not defined their own
+const DEFAULT_CATEGORIES = ["Bug", "Feature", "Improvement"]
+const FIELD_TYPES = ["text", "number", "date", "select", "multiselect"]
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,39}$/
+const LABEL_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/
+const MAX_TEXT_LENGTH = 500
+
+const getCategories = (organization) =>
+  organization?.categories?.length ? organization.categories : DEFAULT_CATEGORIES
+
+const getCustomFields = (organization) => organization?.customFields || []
+
+const findCustomField = (organization, key) => getCustomFields(organization).find((field) => field.key === key)
+
+const isEmpty = (value) => value === null || value === undefined || value === "" || (Array.isArray(value) && !value.length)
+
+// Convert a submitted value to the field's stored type; throws when it does not fit
+const coerceFieldValue = (field, value) => {
+  switch (field.type) {
+    case "text":
+      if (typeof value !== "string") throw new Error(`${field.key} must be text`)
+      if (value.length > MAX_TEXT_LENGTH) throw new Error(`${field.key} must be at most ${MAX_TEXT_LENGTH} characters`)
+      return value.trim()
+    case "number": {
+      const number = typeof value === "string" && value.trim() ? Number(value) : value
+      if (typeof number !== "number" || !Number.isFinite(number)) throw new Error(`${field.key} must be a number`)
+      return number
+    }
+    case "date": {
+      const date = new Date(value)
+      if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+        throw new Error(`${field.key} must be an ISO 8601 date`)
+      }
+      return date
+    }
+    case "select":
+      if (!field.options.includes(value)) {
+        throw new Error(`${field.key} must be one of: ${field.options.join(", ")}`)
+      }
+      return value
+    case "multiselect": {
+      const values = [value].flat()
+      const unknown = values.filter((item) => !field.options.includes(item))
+      if (unknown.length > 0) {
+        throw new Error(`Unknown ${field.key} option(s): ${unknown.join(", ")}`)
+      }
+      return [...new Set(values)]
+    }
+    default:
+      throw new Error(`${field.key} has an unsupported type`)
+  }
+}
+
+// Merge submitted custom field values into the current ones. A null or empty value clears
+// the field. Returns { values, problems }; values is a plain object keyed by field key.
+const resolveCustomFields = (organization, input = {}, current = {}) => {
+  const values = { ...current }
+  const problems = []
+
+  for (const [key, value] of Object.entries(input)) {
+    const field = findCustomField(organization, key)
+
+    if (!field) {
+      problems.push(`Unknown custom field: ${key}`)
+    } else if (isEmpty(value)) {
+      delete values[key]
+    } else {
+      try {
+        values[key] = coerceFieldValue(field, value)
+      } catch (error) {
+        problems.push(error.message)
+      }
+    }
+  }
+
+  return { values, problems }
+}
+
+// Required fields missing from a task's custom field values
+const missingRequiredFields = (organization, values) =>
+  getCustomFields(organization)
+    .filter((field) => field.required && isEmpty(values[field.key]))
+    .map((field) => field.key)
+
+// Label ids that are not defined by the organization
+const unknownLabels = (organization, labelIds) => {
+  const known = (organization?.labels || []).map((label) => label._id.toString())
+  return labelIds.filter((id) => !known.includes(String(id)))
+}
+
+// Plain object of a task's custom field values (stored as a Map)
+const customFieldValues = (task) =>
+  task.customFields instanceof Map ? Object.fromEntries(task.customFields) : { ...(task.customFields || {}) }
+
+// Mongo condition for a cf[key]=... list filter. Values may be a comma-separated list, or
+// for number and date fields an object with gte and/or lte bounds.
+const customFieldCondition = (field, value) => {
+  const path = `customFields.${field.key}`
+
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const range = {}
+    if (value.gte !== undefined) range.$gte = coerceFieldValue(field, value.gte)
+    if (value.lte !== undefined) range.$lte = coerceFieldValue(field, value.lte)
+    return { [path]: range }
+  }
+
+  const values = [value]
+    .flat()
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean)
+  // Any of the listed values; multiselect fields match when one of their options is listed
+  const itemField = field.type === "multiselect" ? { ...field, type: "select" } : field
+  const coerced = values.map((item) => coerceFieldValue(itemField, item))
+  return { [path]: coerced.length === 1 ? coerced[0] : { $in: coerced } }
+}
+
+// Validates the cf query parameter of the task list against the organization's fields
+const validateCustomFieldFilter = (organization, filter) => {
+  if (!filter || typeof filter !== "object" || Array.isArray(filter)) {
+    throw new Error("cf must be given as cf[key]=value")
+  }
+
+  for (const [key, value] of Object.entries(filter)) {
+    const field = findCustomField(organization, key)
+    if (!field) throw new Error(`Unknown custom field: ${key}`)
+
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      if (!["number", "date"].includes(field.type)) {
+        throw new Error("Range filters are only supported for number and date fields")
+      }
+      const bounds = Object.keys(value)
+      if (bounds.length === 0 || bounds.some((bound) => !["gte", "lte"].includes(bound))) {
+        throw new Error(`cf[${key}] ranges accept gte and lte`)
+      }
+    }
+    customFieldCondition(field, value)
+  }
+  return true
+}
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  FIELD_TYPES,
+  FIELD_KEY_PATTERN,
+  LABEL_COLOR_PATTERN,
+  getCategories,
+  getCustomFields,
+  findCustomField,
+  resolveCustomFields,
+  missingRequiredFields,
+  unknownLabels,
+  customFieldValues,
+  customFieldCondition,
+  validateCustomFieldFilter,
+}
@@ -0,0 +1,157 @@
+const mongoose = require("mongoose")
+const { query } = require("express-validator")
+const { getWorkflow, RESERVED_STATUSES } = require("./workflow")
+const { getCategories, findCustomField, customFieldCondition, validateCustomFieldFilter } = require("./taskFields")
+
+const TASK_PRIORITIES = ["Low", "Medium", "High"]
+const CLOSED_STATUSES = RESERVED_STATUSES
+
+// Multi-value filters accept "a,b" and/or repeated parameters
+const splitList = (value) =>
+  [value]
+    .flat()
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean)
+
+const oneOf = (name, allowed) => (value) => {
+  const values = splitList(value)
+  const unknown = values.filter((item) => !allowed.includes(item))
+
+  if (values.length === 0) {
+    throw new Error(`${name} must not be empty`)
+  }
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ${name} value(s): ${unknown.join(", ")}. Expected one of: ${allowed.join(", ")}`)
+  }
+  return true
+}
+
+const mongoIdList = (name) => (value) => {
+  const invalid = splitList(value).filter((item) => !mongoose.isValidObjectId(item))
+
+  if (invalid.length > 0) {
+    throw new Error(`${name} must be a comma-separated list of ids; invalid: ${invalid.join(", ")}`)
+  }
+  return true
+}
+
+// Validation chain for the task list filters. Statuses, categories and custom fields come
+// from the organization.
+const taskFilterValidators = [
+  query("status")
+    .optional()
+    .custom((value, { req }) => oneOf("status", getWorkflow(req.organization).statuses)(value)),
+  query("priority").optional().custom(oneOf("priority", TASK_PRIORITIES)),
+  query("category")
+    .optional()
+    .custom((value, { req }) => oneOf("category", getCategories(req.organization))(value)),
+  query("labels").optional().custom(mongoIdList("labels")),
+  query("project").optional().custom(mongoIdList("project")),
+  query("cf")
+    .optional()
+    .custom((value, { req }) => validateCustomFieldFilter(req.organization, value)),
+  query("assignedTo").optional().custom(mongoIdList("assignedTo")),
+  query("createdBy").optional().custom(mongoIdList("createdBy")),
+  query("dueBefore").optional().isISO8601().withMessage("dueBefore must be an ISO 8601 date"),
+  query("dueAfter").optional().isISO8601().withMessage("dueAfter must be an ISO 8601 date"),
+  query("createdAfter").optional().isISO8601().withMessage("createdAfter must be an ISO 8601 date"),
+  query("overdue").optional().isIn(["true", "false"]).withMessage("overdue must be true or false"),
+  query("unassigned")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("unassigned must be true or false")
+    .custom((value, { req }) => {
+      if (value === "true" && req.query.assignedTo) {
+        throw new Error("unassigned=true cannot be combined with assignedTo")
+      }
+      return true
+    }),
+  query("q").optional().isString().trim().isLength({ min: 1, max: 200 }),
+]
+
+// Members only see tasks assigned to them, created by them or in projects they belong to
+const visibilityCondition = (req) => {
+  if (req.membership.role !== "Member") return null
+
+  const conditions = [{ assignedTo: req.user._id }, { createdBy: req.user._id }]
+  if (req.projectIds?.length > 0) conditions.push({ project: { $in: req.projectIds } })
+  return { $or: conditions }
+}
+
+// Same rule as visibilityCondition, for a task that is already loaded
+const canViewTask = (req, task) => {
+  if (req.membership.role !== "Member") return true
+
+  const idOf = (value) => value?._id || value
+  return Boolean(
+    idOf(task.assignedTo)?.equals(req.user._id) ||
+      idOf(task.createdBy)?.equals(req.user._id) ||
+      (task.project && req.projectIds?.some((projectId) => projectId.equals(idOf(task.project)))),
+  )
+}
+
+const inList = (value) => {
+  const values = splitList(value)
+  return values.length === 1 ? values[0] : { $in: values }
+}
+
+// Mongo filter for the task list query string, scoped to the organization and the user's visibility
+const buildTaskFilter = (req) => {
+  const { query: params } = req
+  const filter = { organization: req.organizationId }
+  const conditions = []
+
+  if (params.status) filter.status = inList(params.status)
+  if (params.priority) filter.priority = inList(params.priority)
+  if (params.category) filter.category = inList(params.category)
+  if (params.createdBy) filter.createdBy = inList(params.createdBy)
+  if (params.project) filter.project = inList(params.project)
+  // Tasks carrying any of the labels
+  if (params.labels) filter.labels = { $in: splitList(params.labels) }
+
+  for (const [key, value] of Object.entries(params.cf || {})) {
+    conditions.push(customFieldCondition(findCustomField(req.organization, key), value))
+  }
+
+  if (params.unassigned === "true") {
+    filter.assignedTo = null
+  } else if (params.assignedTo) {
+    filter.assignedTo = inList(params.assignedTo)
+  } else if (params.unassigned === "false") {
+    filter.assignedTo = { $ne: null }
+  }
+
+  if (params.dueBefore || params.dueAfter) {
+    filter.dueDate = {}
+    if (params.dueBefore) filter.dueDate.$lt = new Date(params.dueBefore)
+    if (params.dueAfter) filter.dueDate.$gte = new Date(params.dueAfter)
+  }
+
+  if (params.createdAfter) filter.createdAt = { $gte: new Date(params.createdAfter) }
+
+  // Overdue: past due and still open
+  const now = new Date()
+  if (params.overdue === "true") {
+    conditions.push({ dueDate: { $lt: now } }, { status: { $nin: CLOSED_STATUSES } })
+  } else if (params.overdue === "false") {
+    conditions.push({ $or: [{ dueDate: null }, { dueDate: { $gte: now } }, { status: { $in: CLOSED_STATUSES } }] })
+  }
+
+  const visibility = visibilityCondition(req)
+  if (visibility) conditions.push(visibility)
+
+  if (params.q) filter.$text = { $search: params.q }
+  if (conditions.length > 0) filter.$and = conditions
+
+  return filter
+}
+
+module.exports = {
+  TASK_PRIORITIES,
+  splitList,
+  taskFilterValidators,
+  visibilityCondition,
+  canViewTask,
+  buildTaskFilter,
+}
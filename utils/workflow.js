@@ -0,0 +1,81 @@
+const ROLES = ["Admin", "Manager", "Member"]
+
+// Statuses every workflow keeps: completion timestamps, stats and the expiration job rely on them.
+// Expired is only ever set by the system.
+const COMPLETED_STATUS = "Completed"
+const EXPIRED_STATUS = "Expired"
+const RESERVED_STATUSES = [COMPLETED_STATUS, EXPIRED_STATUS]
+
+// Matches the behavior before workflows were configurable: any status can move to
+// Todo, In Progress or Completed, by any role
+const DEFAULT_WORKFLOW = {
+  initialStatus: "Todo",
+  statuses: ["Todo", "In Progress", COMPLETED_STATUS, EXPIRED_STATUS],
+  transitions: [
+    { from: "*", to: "Todo", roles: [] },
+    { from: "*", to: "In Progress", roles: [] },
+    { from: "*", to: COMPLETED_STATUS, roles: [] },
+  ],
+}
+
+const getWorkflow = (organization) =>
+  organization?.workflow?.statuses?.length ? organization.workflow : DEFAULT_WORKFLOW
+
+// Returns a list of problems; empty when the workflow is valid
+const validateWorkflow = ({ initialStatus, statuses = [], transitions = [] }) => {
+  const problems = []
+  const duplicates = statuses.filter((status, index) => statuses.indexOf(status) !== index)
+
+  if (statuses.some((status) => typeof status !== "string" || !status.trim() || status === "*")) {
+    problems.push("Statuses must be non-empty names other than *")
+  }
+  if (duplicates.length > 0) {
+    problems.push(`Duplicate statuses: ${[...new Set(duplicates)].join(", ")}`)
+  }
+  for (const reserved of RESERVED_STATUSES) {
+    if (!statuses.includes(reserved)) problems.push(`Workflow must include the ${reserved} status`)
+  }
+  if (!statuses.includes(initialStatus) || RESERVED_STATUSES.includes(initialStatus)) {
+    problems.push("initialStatus must be one of the statuses other than Completed or Expired")
+  }
+
+  transitions.forEach((transition, index) => {
+    if (transition.from !== "*" && !statuses.includes(transition.from)) {
+      problems.push(`Transition ${index} starts from unknown status ${transition.from}`)
+    }
+    if (!statuses.includes(transition.to)) {
+      problems.push(`Transition ${index} leads to unknown status ${transition.to}`)
+    }
+    if (transition.to === EXPIRED_STATUS) {
+      problems.push(`Transition ${index} cannot lead to ${EXPIRED_STATUS}; it is set by the system`)
+    }
+    const unknownRoles = (transition.roles || []).filter((role) => !ROLES.includes(role))
+    if (unknownRoles.length > 0) {
+      problems.push(`Transition ${index} has unknown roles: ${unknownRoles.join(", ")}`)
+    }
+  })
+
+  return problems
+}
+
+// "allowed", "forbidden" (the transition exists but not for this role) or "undefined"
+const checkTransition = (workflow, from, to, role) => {
+  const matching = workflow.transitions.filter(
+    (transition) => transition.to === to && (transition.from === "*" || transition.from === from),
+  )
+
+  if (matching.length === 0) return "undefined"
+
+  const permitted = matching.some((transition) => !transition.roles?.length || transition.roles.includes(role))
+  return permitted ? "allowed" : "forbidden"
+}
+
+module.exports = {
+  COMPLETED_STATUS,
+  EXPIRED_STATUS,
+  RESERVED_STATUSES,
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  validateWorkflow,
+  checkTransition,
+}